@@ -119,6 +119,12 @@ server.on(EVENTS.EVENT_UPLOAD_ON_GDRIVE_COMPLETE, (event) => {
 
 const host = '127.0.0.1';
 const port = 1080;
-server.listen({ host, port }, () => {
+const listener = server.listen({ host, port }, () => {
     console.log(`[${new Date().toLocaleTimeString()}] tus server listening at http://${host}:${port} using ${data_store}`);
 });
+
+listener.ready.catch((error) => {
+    console.error(`[${new Date().toLocaleTimeString()}] ${data_store} is not ready: ${error.message}`);
+    listener.close();
+    process.exitCode = 1;
+});
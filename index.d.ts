@@ -1,5 +1,7 @@
 import { EventEmitter } from 'events';
 import http from 'http';
+import { S3Client, S3ClientConfig } from '@aws-sdk/client-s3';
+import { StorageOptions } from '@google-cloud/storage';
 
 /**
  * arguments of constructor which in class extend DataStore
@@ -8,6 +10,46 @@ declare interface DataStoreOptions {
     path: string;
     namingFunction?: (req: http.IncomingMessage) => string;
     relativeLocation?: string;
+    expirationPeriodInMilliseconds?: number;
+    maxSize?: MaxSize;
+}
+
+declare type MaxSize = number | ((req: http.IncomingMessage) => number | Promise<number>);
+
+declare interface Upload {
+    id?: string;
+    offset: number;
+    upload_length?: string;
+    upload_defer_length?: string;
+    upload_metadata?: string;
+    upload_concat?: string;
+    creation_date?: string;
+}
+
+declare type UploadHook = (req: http.IncomingMessage, res: http.ServerResponse, upload: Upload) => Promise<any> | void;
+
+declare interface ServerOptions {
+    expirationSweepIntervalInMilliseconds?: number;
+    maxSize?: MaxSize;
+    locker?: Locker;
+    onIncomingRequest?: (req: http.IncomingMessage, res: http.ServerResponse, id: string | null) => Promise<any> | void;
+    onUploadCreate?: UploadHook;
+    onUploadFinish?: UploadHook;
+}
+
+declare interface LockerOptions {
+    acquireLockTimeoutInMilliseconds?: number;
+}
+
+declare interface FileLockerOptions extends LockerOptions {
+    directory?: string;
+    retryIntervalInMilliseconds?: number;
+    staleTimeoutInMilliseconds?: number;
+}
+
+declare interface MemoryKvStoreOptions {
+    maxSize?: number;
+    ttlInMilliseconds?: number;
 }
 
 declare interface FileStoreOptions extends DataStoreOptions {
@@ -15,24 +57,46 @@ declare interface FileStoreOptions extends DataStoreOptions {
 }
 
 declare interface GSharedDriveDataStoreOptions extends DataStoreOptions {
-    directory: string;
     drive_id: string;
     keyFilename: string;
-    subject: string;
+    subject?: string;
 }
 
 declare interface GCStoreOptions extends DataStoreOptions {
     bucket: string;
-    projectId: string;
-    keyFilename: string;
+    projectId?: string;
+    keyFilename?: string;
+    credentials?: StorageOptions['credentials'];
+    uploadMode?: 'resumable' | 'compose';
 }
 
+/**
+ * value of an S3 object option, or function of the upload and its decoded metadata
+ */
+declare type S3ObjectOption<T> = T | ((file: File, metadata: Record<string, string>) => T | undefined);
+
 declare interface S3StoreOptions extends DataStoreOptions {
-    accessKeyId: string;
-    secretAccessKey: string;
+    accessKeyId?: string;
+    secretAccessKey?: string;
+    credentials?: S3ClientConfig['credentials'];
+    region?: string;
+    endpoint?: string;
+    s3ForcePathStyle?: boolean;
+    s3Client?: S3Client;
+    s3ClientConfig?: S3ClientConfig;
     bucket: string;
     tmpDirPrefix: string;
     partSize: number;
+    maxConcurrentPartUploads?: number;
+    cache?: KvStore;
+    acl?: S3ObjectOption<string>;
+    storageClass?: S3ObjectOption<string>;
+    serverSideEncryption?: S3ObjectOption<string>;
+    sseKmsKeyId?: S3ObjectOption<string>;
+    tagging?: S3ObjectOption<string | Record<string, string>>;
+    keyPrefix?: S3ObjectOption<string>;
+    orphanAgeInMilliseconds?: number;
+    deleteInfoOnCompletion?: boolean;
 }
 
 declare class File {
@@ -40,7 +104,9 @@ declare class File {
     upload_length: any;
     upload_defer_length: any;
     upload_metadata: any;
-    constructor(file_id: string, upload_length: any, upload_defer_length: any, upload_metadata: any);
+    upload_concat: any;
+    creation_date: string;
+    constructor(file_id: string, upload_length: any, upload_defer_length: any, upload_metadata: any, upload_concat?: any);
 }
 
 /**
@@ -50,9 +116,18 @@ export declare class DataStore extends EventEmitter {
     constructor(options: DataStoreOptions);
     get extensions(): any;
     set extensions(extensions_array: any);
+    hasExtension(extension: string): boolean;
+    ready(): Promise<void>;
+    getExpiration(file: any): Date | null;
+    getMaxSize(req: http.IncomingMessage): Promise<number>;
     create(req: http.IncomingMessage): Promise<any>;
     write(req: http.IncomingMessage, file_id?: string, offset?: number): Promise<any>;
     getOffset(id: string): Promise<any>;
+    read(file_id: string, range?: { start: number, end: number }): NodeJS.ReadableStream;
+    declareUploadLength(file_id: string, upload_length: string): Promise<any>;
+    concatenate(file_id: string, partial_ids: string[]): Promise<number>;
+    remove(file_id: string): Promise<any>;
+    deleteExpired(): Promise<number>;
 }
 
 /**
@@ -63,16 +138,23 @@ export declare class FileStore extends DataStore {
     create(req: http.IncomingMessage): Promise<any>;
     write(req: http.IncomingMessage, file_id?: string, offset?: number): Promise<any>;
     getOffset(file_id: string): Promise<any>;
+    read(file_id: string, range?: { start: number, end: number }): NodeJS.ReadableStream;
+    declareUploadLength(file_id: string, upload_length: string): Promise<any>;
+    remove(file_id: string): Promise<any>;
 }
 
 /**
  * file store to Google Drive
  */
-export declare class GSharedDriveDataStore extends FileStore {
+export declare class GSharedDriveDataStore extends DataStore {
     constructor(options: GSharedDriveDataStoreOptions);
+    ready(): Promise<void>;
     create(req: http.IncomingMessage): Promise<any>;
     write(req: http.IncomingMessage, file_id?: string, offset?: number): Promise<any>;
     getOffset(file_id: string): Promise<any>;
+    read(file_id: string, range?: { start: number, end: number }): NodeJS.ReadableStream;
+    declareUploadLength(file_id: string, upload_length: string): Promise<any>;
+    remove(file_id: string): Promise<any>;
 }
 
 /**
@@ -80,9 +162,13 @@ export declare class GSharedDriveDataStore extends FileStore {
  */
 export declare class GCSDataStore extends DataStore {
     constructor(options: GCStoreOptions);
+    ready(): Promise<void>;
     create(req: http.IncomingMessage): Promise<any>;
     write(req: http.IncomingMessage, file_id?: string, offset?: number): Promise<any>;
     getOffset(file_id: string): Promise<any>;
+    read(file_id: string, range?: { start: number, end: number }): NodeJS.ReadableStream;
+    declareUploadLength(file_id: string, upload_length: string): Promise<any>;
+    remove(file_id: string): Promise<any>;
 }
 
 /**
@@ -90,31 +176,98 @@ export declare class GCSDataStore extends DataStore {
  */
 export declare class S3Store extends DataStore {
     constructor(options: S3StoreOptions);
+    ready(): Promise<void>;
     create(req: http.IncomingMessage): Promise<any>;
     write(req: http.IncomingMessage, file_id?: string, offset?: number): Promise<any>;
     getOffset(file_id: string, with_parts?: boolean): Promise<any>;
+    read(file_id: string, range?: { start: number, end: number }): NodeJS.ReadableStream;
+    declareUploadLength(file_id: string, upload_length: string): Promise<any>;
+    remove(file_id: string): Promise<any>;
+    deleteOrphans(): Promise<number>;
+}
+
+/**
+ * serialises the requests modifying an upload
+ */
+export declare class Locker {
+    constructor(options?: LockerOptions);
+    lock(id: string, requestRelease?: () => void): Promise<any>;
+    unlock(id: string): Promise<any>;
+}
+
+/**
+ * locks kept in memory, for a single process
+ */
+export declare class MemoryLocker extends Locker {
+    constructor(options?: LockerOptions);
+}
+
+/**
+ * lock files in a shared directory, for several processes
+ */
+export declare class FileLocker extends Locker {
+    constructor(options?: FileLockerOptions);
+}
+
+/**
+ * caches the information about uploads
+ */
+export declare class KvStore {
+    get(key: string): Promise<any>;
+    set(key: string, value: any): Promise<any>;
+    delete(key: string): Promise<any>;
+}
+
+/**
+ * values kept in memory, with LRU eviction and expiration
+ */
+export declare class MemoryKvStore extends KvStore {
+    constructor(options?: MemoryKvStoreOptions);
 }
 
 /**
  * Tus protocol server implements
  */
 export declare class Server extends EventEmitter {
-    constructor();
+    constructor(options?: ServerOptions);
+    locker: Locker;
     get datastore(): DataStore;
     set datastore(store: DataStore);
     get(path: string, callback: Function): any;
     handle(req: http.IncomingMessage, res: http.ServerResponse): http.ServerResponse;
-    listen(): http.Server;
+    cleanUpExpiredUploads(): Promise<number>;
+    listen(): http.Server & { ready: Promise<void> };
 }
 
 export declare const EVENTS: {
     EVENT_ENDPOINT_CREATED: string;
     EVENT_FILE_CREATED: string;
+    EVENT_FILE_DELETED: string;
     EVENT_UPLOAD_COMPLETE: string;
     EVENT_UPLOAD_ON_GDRIVE_COMPLETE: string;
 };
 
 export declare const ERRORS: {
+    UNSUPPORTED_CHECKSUM_ALGORITHM: {
+        status_code: number;
+        body: string;
+    };
+    INVALID_CONCAT: {
+        status_code: number;
+        body: string;
+    };
+    PARTIAL_UPLOAD_NOT_FINISHED: {
+        status_code: number;
+        body: string;
+    };
+    PARTIAL_UPLOAD_TOO_SMALL: {
+        status_code: number;
+        body: string;
+    };
+    INVALID_UPLOAD_LENGTH: {
+        status_code: number;
+        body: string;
+    };
     MISSING_OFFSET: {
         status_code: number;
         body: string;
@@ -123,6 +276,10 @@ export declare const ERRORS: {
         status_code: number;
         body: string;
     };
+    MODIFY_FINAL_UPLOAD: {
+        status_code: number;
+        body: string;
+    };
     FILE_NOT_FOUND: {
         status_code: number;
         body: string;
@@ -139,6 +296,22 @@ export declare const ERRORS: {
         status_code: number;
         body: string;
     };
+    MAX_SIZE_EXCEEDED: {
+        status_code: number;
+        body: string;
+    };
+    RANGE_NOT_SATISFIABLE: {
+        status_code: number;
+        body: string;
+    };
+    UPLOAD_LOCKED: {
+        status_code: number;
+        body: string;
+    };
+    CHECKSUM_MISMATCH: {
+        status_code: number;
+        body: string;
+    };
     UNKNOWN_ERROR: {
         status_code: number;
         body: string;
@@ -5,7 +5,11 @@ const DataStore = require('./lib/stores/DataStore');
 const FileStore = require('./lib/stores/FileStore');
 const GCSDataStore = require('./lib/stores/GCSDataStore');
 const GSharedDriveDataStore = require('./lib/stores/GSharedDriveDataStore');
-const S3Store = require('./lib/stores/S3Store');
+const Locker = require('./lib/lockers/Locker');
+const MemoryLocker = require('./lib/lockers/MemoryLocker');
+const FileLocker = require('./lib/lockers/FileLocker');
+const KvStore = require('./lib/kvstores/KvStore');
+const MemoryKvStore = require('./lib/kvstores/MemoryKvStore');
 const ERRORS = require('./lib/constants').ERRORS;
 const EVENTS = require('./lib/constants').EVENTS;
 
@@ -15,7 +19,17 @@ module.exports = {
     FileStore,
     GCSDataStore,
     GSharedDriveDataStore,
-    S3Store,
+
+    // Loaded on first use, so the AWS SDK is only required by S3 users
+    get S3Store() {
+        return require('./lib/stores/S3Store'); // eslint-disable-line global-require
+    },
+
+    Locker,
+    MemoryLocker,
+    FileLocker,
+    KvStore,
+    MemoryKvStore,
     ERRORS,
     EVENTS,
 };
@@ -10,21 +10,63 @@ const http = require('http');
 const EventEmitter = require('events');
 
 const DataStore = require('./stores/DataStore');
+const DeleteHandler = require('./handlers/DeleteHandler');
+const GetHandler = require('./handlers/GetHandler');
+const Locker = require('./lockers/Locker');
+const MemoryLocker = require('./lockers/MemoryLocker');
 const HeadHandler = require('./handlers/HeadHandler');
 const OptionsHandler = require('./handlers/OptionsHandler');
 const PatchHandler = require('./handlers/PatchHandler');
 const PostHandler = require('./handlers/PostHandler');
 const RequestValidator = require('./validators/RequestValidator');
+const ERRORS = require('./constants').ERRORS;
 const EXPOSED_HEADERS = require('./constants').EXPOSED_HEADERS;
 const REQUEST_METHODS = require('./constants').REQUEST_METHODS;
 const TUS_RESUMABLE = require('./constants').TUS_RESUMABLE;
 const debug = require('debug');
 const log = debug('tus-node-server');
+
+const HOOKS = ['onIncomingRequest', 'onUploadCreate', 'onUploadFinish'];
+
+// Sweep for expired uploads at least once an hour
+const MAX_EXPIRATION_SWEEP_INTERVAL = 60 * 60 * 1000;
+
 class TusServer extends EventEmitter {
 
-    constructor() {
+    /**
+     * @param  {object} [options]
+     * @param  {number} [options.expirationSweepIntervalInMilliseconds] how often
+     *                  `listen` removes expired uploads from the data store
+     * @param  {number|function} [options.maxSize] maximum size of an upload,
+     *                  overrides the `maxSize` of the data store
+     * @param  {Locker} [options.locker] serialises the requests modifying an
+     *                  upload, defaults to a MemoryLocker
+     * @param  {function} [options.onIncomingRequest] `(req, res, id)` called
+     *                  before handling any request but OPTIONS, eg. for auth
+     * @param  {function} [options.onUploadCreate] `(req, res, upload)` called
+     *                  before creating an upload, may change its metadata
+     * @param  {function} [options.onUploadFinish] `(req, res, upload)` called
+     *                  before responding to the request finishing an upload
+     *
+     * Hooks may return a Promise. Rejecting with `{ status_code, body }`
+     * responds with that error instead.
+     */
+    constructor(options) {
         super();
 
+        this.options = Object.assign({}, options);
+
+        if (this.options.locker && !(this.options.locker instanceof Locker)) {
+            throw new Error(`${this.options.locker} is not a Locker`);
+        }
+        this.locker = this.options.locker || new MemoryLocker();
+
+        HOOKS.forEach((hook) => {
+            if (this.options[hook] && typeof this.options[hook] !== 'function') {
+                throw new Error(`${hook} must be a function`);
+            }
+        });
+
         // Any handlers assigned to this object with the method as the key
         // will be used to repond to those requests. They get set/re-set
         // when a datastore is assigned to the server.
@@ -71,18 +113,29 @@ class TusServer extends EventEmitter {
 
         this._datastore = store;
 
+        if (this.options.maxSize !== undefined) {
+            store.maxSize = this.options.maxSize;
+        }
+
+        const handler_options = {
+            locker: this.locker,
+            onUploadCreate: this.options.onUploadCreate,
+            onUploadFinish: this.options.onUploadFinish,
+        };
         this.handlers = {
-            // GET handlers should be written in the implementations
+            // GET serves finished uploads, additional GET handlers
+            // can be written in the implementations
             // eg.
             //      const server = new tus.Server();
             //      server.get('/', (req, res) => { ... });
-            GET: {},
+            GET: new GetHandler(store, handler_options),
 
             // These methods are handled under the tus protocol
-            HEAD: new HeadHandler(store),
-            OPTIONS: new OptionsHandler(store),
-            PATCH: new PatchHandler(store),
-            POST: new PostHandler(store),
+            DELETE: new DeleteHandler(store, handler_options),
+            HEAD: new HeadHandler(store, handler_options),
+            OPTIONS: new OptionsHandler(store, handler_options),
+            PATCH: new PatchHandler(store, handler_options),
+            POST: new PostHandler(store, handler_options),
         };
     }
 
@@ -97,7 +150,7 @@ class TusServer extends EventEmitter {
     get(path, callback) {
 
         // Add this handler callback to the GET method handler list.
-        this.handlers.GET[path] = callback;
+        this.handlers.GET.registerPath(path, callback);
     }
 
     /**
@@ -119,17 +172,8 @@ class TusServer extends EventEmitter {
 
 
         if (req.method === 'GET') {
-
-            // Check if this url has been added to allow GET requests, with an
-            // appropriate callback to handle the request
-            if (!(req.url in this.handlers.GET)) {
-                res.writeHead(404, {});
-                res.write('Not found\n');
-                return res.end();
-            }
-
-            // invoke the callback
-            return this.handlers.GET[req.url](req, res);
+            // Invoke the callback added for this url, or download the upload
+            return this._send(req, res);
         }
 
         // The Tus-Resumable header MUST be included in every request and
@@ -176,7 +220,7 @@ class TusServer extends EventEmitter {
 
         // Invoke the handler for the method requested
         if (this.handlers[req.method]) {
-            return this.handlers[req.method].send(req, res);
+            return this._send(req, res);
         }
 
         // 404 Anything else
@@ -185,8 +229,87 @@ class TusServer extends EventEmitter {
         return res.end();
     }
 
+    /**
+     * Invoke the handler for the method requested, once the
+     * onIncomingRequest hook allows it.
+     *
+     * @param  {object} req http.incomingMessage
+     * @param  {object} res http.ServerResponse
+     * @return {ServerResponse|Promise}
+     */
+    _send(req, res) {
+        const handler = this.handlers[req.method];
+        const hook = this.options.onIncomingRequest;
+        if (!hook || req.method === 'OPTIONS') {
+            return handler.send(req, res);
+        }
+
+        const id = handler.getFileIdFromRequest(req) || null;
+        return Promise.resolve()
+            .then(() => hook(req, res, id))
+            .then(() => handler.send(req, res), (error) => {
+                log('[TusServer] onIncomingRequest', error);
+                const status_code = error.status_code || ERRORS.UNKNOWN_ERROR.status_code;
+                const body = error.body || `${ERRORS.UNKNOWN_ERROR.body}${error.message || ''}\n`;
+                res.writeHead(status_code, {});
+                return res.end(body);
+            });
+    }
+
+    /**
+     * Remove the unfinished uploads that have expired from the data store.
+     * Called periodically by `listen`, implementations not using it can
+     * schedule this themselves.
+     *
+     * @return {Promise} number of uploads removed
+     */
+    cleanUpExpiredUploads() {
+        return this.datastore.deleteExpired()
+            .then((removed) => {
+                log(`[TusServer] cleanUpExpiredUploads: ${removed} expired uploads removed`);
+                return removed;
+            });
+    }
+
+    /**
+     * Create an http.Server handling the requests once the data store
+     * is ready. Its `ready` promise rejects if the data store cannot be,
+     * the server then emits the error if it has an `error` listener.
+     * Each request checks the data store again until it is ready.
+     *
+     * @return {http.Server}
+     */
     listen() {
-        const server = http.createServer(this.handle.bind(this));
+        const server = http.createServer((req, res) => {
+            return this.datastore.ready().then(() => this.handle(req, res), (error) => {
+                res.writeHead(ERRORS.UNKNOWN_ERROR.status_code, {});
+                return res.end(`${ERRORS.UNKNOWN_ERROR.body}${error.message || ''}\n`);
+            });
+        });
+
+        server.ready = this.datastore.ready();
+        server.ready.catch((error) => {
+            log('[TusServer] listen: the data store is not ready', error);
+            if (server.listenerCount('error') > 0) {
+                server.emit('error', error);
+            }
+        });
+
+        const expiration_period = this.datastore.expirationPeriodInMilliseconds;
+        if (expiration_period) {
+            const interval = this.options.expirationSweepIntervalInMilliseconds ||
+                Math.min(expiration_period, MAX_EXPIRATION_SWEEP_INTERVAL);
+            const timer = setInterval(() => {
+                this.cleanUpExpiredUploads().catch((error) => {
+                    log('[TusServer] cleanUpExpiredUploads', error);
+                });
+            }, interval);
+
+            // Don't keep the process alive just for the sweeper
+            timer.unref();
+            server.on('close', () => clearInterval(timer));
+        }
+
         return server.listen.apply(server, arguments);
     }
 }
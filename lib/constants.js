@@ -5,17 +5,22 @@ const REQUEST_METHODS = [
     'HEAD',
     'PATCH',
     'OPTIONS',
+    'DELETE',
 ];
 
 const HEADERS = [
     'Authorization',
     'Content-Type',
     'Location',
+    'Tus-Checksum-Algorithm',
     'Tus-Extension',
     'Tus-Max-Size',
     'Tus-Resumable',
     'Tus-Version',
+    'Upload-Checksum',
+    'Upload-Concat',
     'Upload-Defer-Length',
+    'Upload-Expires',
     'Upload-Length',
     'Upload-Metadata',
     'Upload-Offset',
@@ -25,7 +30,34 @@ const HEADERS = [
 
 const HEADERS_LOWERCASE = HEADERS.map((header) => header.toLowerCase());
 
+const CHECKSUM_ALGORITHMS = [
+    'md5',
+    'sha1',
+    'sha256',
+    'crc32',
+];
+
 const ERRORS = {
+    UNSUPPORTED_CHECKSUM_ALGORITHM: {
+        status_code: 400,
+        body: 'Unsupported checksum algorithm\n',
+    },
+    INVALID_CONCAT: {
+        status_code: 400,
+        body: 'Upload-Concat header is invalid\n',
+    },
+    PARTIAL_UPLOAD_NOT_FINISHED: {
+        status_code: 400,
+        body: 'One of the partial uploads is not finished\n',
+    },
+    PARTIAL_UPLOAD_TOO_SMALL: {
+        status_code: 400,
+        body: 'One of the partial uploads is too small to be concatenated\n',
+    },
+    INVALID_UPLOAD_LENGTH: {
+        status_code: 400,
+        body: 'Upload-Length is invalid or cannot be changed once set\n',
+    },
     MISSING_OFFSET: {
         status_code: 403,
         body: 'Upload-Offset header required\n',
@@ -34,6 +66,10 @@ const ERRORS = {
         status_code: 403,
         body: 'Content-Type header required\n',
     },
+    MODIFY_FINAL_UPLOAD: {
+        status_code: 403,
+        body: 'Final uploads of a concatenation cannot be modified\n',
+    },
     FILE_NOT_FOUND: {
         status_code: 404,
         body: 'The file for this url was not found\n',
@@ -50,6 +86,22 @@ const ERRORS = {
         status_code: 412,
         body: 'Upload-Length or Upload-Defer-Length header required\n',
     },
+    MAX_SIZE_EXCEEDED: {
+        status_code: 413,
+        body: 'Maximum size exceeded\n',
+    },
+    RANGE_NOT_SATISFIABLE: {
+        status_code: 416,
+        body: 'Requested range not satisfiable\n',
+    },
+    UPLOAD_LOCKED: {
+        status_code: 423,
+        body: 'Upload is locked by another request\n',
+    },
+    CHECKSUM_MISMATCH: {
+        status_code: 460,
+        body: 'Upload-Checksum does not match the received data\n',
+    },
     UNKNOWN_ERROR: {
         status_code: 500,
         body: 'Something went wrong with that request\n',
@@ -62,22 +114,26 @@ const ERRORS = {
 
 const EVENT_ENDPOINT_CREATED = 'EVENT_ENDPOINT_CREATED';
 const EVENT_FILE_CREATED = 'EVENT_FILE_CREATED';
+const EVENT_FILE_DELETED = 'EVENT_FILE_DELETED';
 const EVENT_UPLOAD_COMPLETE = 'EVENT_UPLOAD_COMPLETE';
 const EVENT_UPLOAD_ON_GDRIVE_COMPLETE = 'EVENT_UPLOAD_ON_GDRIVE_COMPLETE';
 
 const EVENTS = {
     EVENT_ENDPOINT_CREATED,
     EVENT_FILE_CREATED,
+    EVENT_FILE_DELETED,
     EVENT_UPLOAD_COMPLETE,
-    EVENT_UPLOAD_ON_GDRIVE_COMPLETE
+    EVENT_UPLOAD_ON_GDRIVE_COMPLETE,
 };
 
 module.exports = {
     ALLOWED_HEADERS: HEADERS.join(', '),
     ALLOWED_METHODS: REQUEST_METHODS.join(', '),
+    CHECKSUM_ALGORITHMS,
     ERRORS,
     EVENT_ENDPOINT_CREATED,
     EVENT_FILE_CREATED,
+    EVENT_FILE_DELETED,
     EVENT_UPLOAD_COMPLETE,
     EVENT_UPLOAD_ON_GDRIVE_COMPLETE,
     EVENTS,
@@ -1,16 +1,33 @@
 'use strict';
 
 const DataStore = require('../stores/DataStore');
+const Locker = require('../lockers/Locker');
+const MemoryLocker = require('../lockers/MemoryLocker');
+const StreamLimiter = require('../models/StreamLimiter');
 const EventEmitter = require('events');
+const ERRORS = require('../constants').ERRORS;
 
 
 class BaseHandler extends EventEmitter {
-    constructor(store) {
+    /**
+     * @param  {DataStore} store
+     * @param  {object}    [options]
+     * @param  {Locker}    [options.locker] locker shared by the handlers of a server
+     * @param  {function}  [options.onUploadCreate] hook given to the server
+     * @param  {function}  [options.onUploadFinish] hook given to the server
+     */
+    constructor(store, options) {
         super();
         if (!(store instanceof DataStore)) {
             throw new Error(`${store} is not a DataStore`);
         }
+        options = options || {};
+        if (options.locker && !(options.locker instanceof Locker)) {
+            throw new Error(`${options.locker} is not a Locker`);
+        }
         this.store = store;
+        this.locker = options.locker || new MemoryLocker();
+        this.options = options;
     }
 
     /**
@@ -41,16 +58,186 @@ class BaseHandler extends EventEmitter {
      * @return {bool|string}
      */
     getFileIdFromRequest(req) {
-        const re = new RegExp(`${req.baseUrl || ''}${this.store.path}\\/(\\S+)\\/?`); // eslint-disable-line prefer-template
-        const match = (req.originalUrl || req.url).match(re);
+        return this.getFileIdFromUrl(req.originalUrl || req.url, req.baseUrl);
+    }
+
+    /**
+     * Extract the file id from an upload url. Ids with `.` or `..`
+     * segments or backslashes are rejected, as stores use them in paths.
+     *
+     * @param  {string} url      upload url
+     * @param  {string} base_url path the server is mounted on
+     * @return {bool|string}
+     */
+    getFileIdFromUrl(url, base_url) {
+        const re = new RegExp(`${base_url || ''}${this.store.path}\\/(\\S+)\\/?`); // eslint-disable-line prefer-template
+        const match = url.match(re);
         if (!match) {
             return false;
         }
 
         const file_id = match[1];
+        if (file_id.includes('\\') || file_id.split('/').some((segment) => segment === '.' || segment === '..')) {
+            return false;
+        }
+
         return file_id;
     }
 
+    /**
+     * Date at which the upload expires, as long as it is unfinished.
+     *
+     * @param  {object}  file   upload info returned by the store
+     * @param  {integer} offset bytes received so far
+     * @return {Date|null}
+     */
+    getUploadExpiration(file, offset) {
+        if (parseInt(file.upload_length, 10) === offset) {
+            return null;
+        }
+
+        return this.store.getExpiration(file);
+    }
+
+    /**
+     * Run `callback` while holding the lock of the upload. The callback is
+     * given an emitter firing 'release' when another request for the
+     * upload is waiting, eg. when a client resumes after losing its
+     * connection, so the callback should finish up quickly.
+     *
+     * @param  {string}   file_id  name of the file
+     * @param  {Function} callback returns a Promise
+     * @return {Promise}           result of the callback
+     */
+    withLock(file_id, callback) {
+        const release = new EventEmitter();
+        release.requested = false;
+
+        return this.locker.lock(file_id, () => {
+            release.requested = true;
+            release.emit('release');
+        })
+            .then(() => {
+                const unlock = () => this.locker.unlock(file_id);
+                return Promise.resolve()
+                    .then(() => callback(release))
+                    .then((result) => unlock().then(() => result), (error) => unlock().then(() => {
+                        throw error;
+                    }));
+            });
+    }
+
+    /**
+     * Write the request body to the store, rejecting with 413 once the
+     * upload grows beyond `max_size` bytes. The bytes up to the limit are
+     * kept, like with any interrupted request. Writing also stops when the
+     * client aborts the request or the lock of the upload is to be released.
+     *
+     * @param  {object}       req        http.incomingMessage
+     * @param  {string}       file_id    name of the file
+     * @param  {integer}      offset     starting offset
+     * @param  {integer}      max_size   maximum size of the upload, 0 for no limit
+     * @param  {Checksum}     [checksum] checksum the written bytes must match
+     * @param  {EventEmitter} [release]  emitter given by `withLock`
+     * @return {Promise}                 new offset
+     */
+    writeToStore(req, file_id, offset, max_size, checksum, release) {
+        if (!max_size && !release) {
+            return this.store.write(req, file_id, offset, checksum);
+        }
+
+        const limiter = new StreamLimiter(max_size ? Math.max(max_size - offset, 0) : Infinity);
+
+        // Ending the stream early lets the store finish writing what it got
+        let stopped = false;
+        const stop = () => {
+            if (!stopped) {
+                stopped = true;
+                req.unpipe(limiter);
+                limiter.end();
+            }
+        };
+        req.on('aborted', stop);
+        if (release) {
+            release.once('release', stop);
+        }
+
+        if (release && release.requested) {
+            stop();
+        }
+        else {
+            req.pipe(limiter);
+        }
+
+        return this.store.write(limiter, file_id, offset, checksum)
+            .then((new_offset) => {
+                if (limiter.exceeded) {
+                    throw ERRORS.MAX_SIZE_EXCEEDED;
+                }
+
+                return new_offset;
+            }, (error) => {
+                throw limiter.exceeded ? ERRORS.MAX_SIZE_EXCEEDED : error;
+            });
+    }
+
+
+    /**
+     * Describe an upload to the hooks.
+     *
+     * @param  {string}  file_id name of the file, unknown before creation
+     * @param  {object}  file    File or upload info returned by the store
+     * @param  {integer} offset  bytes received so far
+     * @return {object}
+     */
+    getUploadInfo(file_id, file, offset) {
+        return {
+            id: file_id,
+            offset,
+            upload_length: file.upload_length,
+            upload_defer_length: file.upload_defer_length,
+            upload_metadata: file.upload_metadata,
+            upload_concat: file.upload_concat,
+            creation_date: file.creation_date,
+        };
+    }
+
+    /**
+     * Run a hook given to the server, if any.
+     *
+     * @param  {string} name   name of the hook option
+     * @param  {object} req    http.incomingMessage
+     * @param  {object} res    http.ServerResponse
+     * @param  {object} upload upload info
+     * @return {Promise}       rejects with the error of the hook
+     */
+    runHook(name, req, res, upload) {
+        const hook = this.options[name];
+        if (!hook) {
+            return Promise.resolve();
+        }
+
+        return Promise.resolve().then(() => hook(req, res, upload));
+    }
+
+    /**
+     * Run the onUploadFinish hook once the upload received all its bytes.
+     *
+     * @param  {object}  req     http.incomingMessage
+     * @param  {object}  res     http.ServerResponse
+     * @param  {string}  file_id name of the file
+     * @param  {object}  file    File or upload info returned by the store
+     * @param  {integer} offset  bytes received so far
+     * @return {Promise}
+     */
+    finishUpload(req, res, file_id, file, offset) {
+        if (parseInt(file.upload_length, 10) !== offset) {
+            return Promise.resolve();
+        }
+
+        return this.runHook('onUploadFinish', req, res, this.getUploadInfo(file_id, file, offset));
+    }
+
 }
 
 module.exports = BaseHandler;
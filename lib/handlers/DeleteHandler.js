@@ -0,0 +1,42 @@
+'use strict';
+
+const BaseHandler = require('./BaseHandler');
+const ERRORS = require('../constants').ERRORS;
+const EVENT_FILE_DELETED = require('../constants').EVENT_FILE_DELETED;
+const debug = require('debug');
+const log = debug('tus-node-server:handlers:delete');
+class DeleteHandler extends BaseHandler {
+    /**
+     * Remove an upload from the DataStore, implementing the
+     * termination extension.
+     *
+     * http://tus.io/protocols/resumable-upload.html#termination
+     *
+     * @param  {object} req http.incomingMessage
+     * @param  {object} res http.ServerResponse
+     * @return {function}
+     */
+    send(req, res) {
+        const file_id = this.getFileIdFromRequest(req);
+        if (file_id === false) {
+            return super.send(res, ERRORS.FILE_NOT_FOUND.status_code, {}, ERRORS.FILE_NOT_FOUND.body);
+        }
+
+        // An upload being written is asked to stop before it is removed
+        return this.withLock(file_id, () => this.store.remove(file_id))
+            .then(() => {
+                this.emit(EVENT_FILE_DELETED, { file_id });
+
+                // The Server MUST acknowledge successful DELETE requests with the 204
+                return super.send(res, 204, {});
+            })
+            .catch((error) => {
+                log('[DeleteHandler]', error);
+                const status_code = error.status_code || ERRORS.UNKNOWN_ERROR.status_code;
+                const body = error.body || `${ERRORS.UNKNOWN_ERROR.body}${error.message || ''}\n`;
+                return super.send(res, status_code, {}, body);
+            });
+    }
+}
+
+module.exports = DeleteHandler;
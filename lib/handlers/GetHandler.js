@@ -0,0 +1,171 @@
+'use strict';
+
+const BaseHandler = require('./BaseHandler');
+const Metadata = require('../models/Metadata');
+const ERRORS = require('../constants').ERRORS;
+const debug = require('debug');
+const log = debug('tus-node-server:handlers:get');
+class GetHandler extends BaseHandler {
+    constructor(store, options) {
+        super(store, options);
+
+        // Callbacks registered with `server.get()`, by exact path
+        this.paths = {};
+    }
+
+    /**
+     * Register a request listener for GET requests to the given path.
+     *
+     * @param  {string}   path     path of the GET request
+     * @param  {Function} callback request listener
+     */
+    registerPath(path, callback) {
+        this.paths[path] = callback;
+    }
+
+    /**
+     * Serve a registered path, or the bytes of a finished upload.
+     *
+     * @param  {object} req http.incomingMessage
+     * @param  {object} res http.ServerResponse
+     * @return {function}
+     */
+    send(req, res) {
+        // Paths registered by the implementation take precedence
+        if (req.url in this.paths) {
+            return this.paths[req.url](req, res);
+        }
+
+        const file_id = this.getFileIdFromRequest(req);
+        if (file_id === false) {
+            return super.send(res, 404, {}, 'Not found\n');
+        }
+
+        return this.store.getOffset(file_id)
+            .then((file) => {
+                // Only finished uploads can be downloaded
+                if (file.size !== parseInt(file.upload_length, 10)) {
+                    log(`[GetHandler] send: ${file_id} is not finished`);
+                    return Promise.reject(ERRORS.FILE_NOT_FOUND);
+                }
+
+                const headers = Object.assign({
+                    'Accept-Ranges': 'bytes',
+                }, this._contentHeaders(file.upload_metadata));
+
+                const range = this._parseRange(req.headers.range, file.size);
+                if (range === false) {
+                    log(`[GetHandler] send: unsatisfiable range ${req.headers.range} for ${file_id}`);
+                    headers['Content-Range'] = `bytes */${file.size}`;
+                    return super.send(res, ERRORS.RANGE_NOT_SATISFIABLE.status_code, headers, ERRORS.RANGE_NOT_SATISFIABLE.body);
+                }
+
+                let status = 200;
+                headers['Content-Length'] = file.size;
+                if (range) {
+                    status = 206;
+                    headers['Content-Length'] = range.end - range.start + 1;
+                    headers['Content-Range'] = `bytes ${range.start}-${range.end}/${file.size}`;
+                }
+
+                // Empty uploads have nothing to read
+                if (file.size === 0) {
+                    return super.send(res, status, headers);
+                }
+
+                return this._pipe(this.store.read(file_id, range), res, status, headers);
+            })
+            .catch((error) => {
+                log('[GetHandler]', error);
+                const status_code = error.status_code || ERRORS.UNKNOWN_ERROR.status_code;
+                const body = error.body || `${ERRORS.UNKNOWN_ERROR.body}${error.message || ''}\n`;
+                return super.send(res, status_code, {}, body);
+            });
+    }
+
+    /**
+     * Stream the bytes read from the store to the response. The headers
+     * are already sent when reading fails, so the response is aborted.
+     *
+     * @param  {Stream} stream  readable stream returned by the store
+     * @param  {object} res     http.ServerResponse
+     * @param  {integer} status status code
+     * @param  {object} headers response headers
+     * @return {Promise}
+     */
+    _pipe(stream, res, status, headers) {
+        return new Promise((resolve) => {
+            stream.on('error', (error) => {
+                log('[GetHandler] read: Error', error);
+                res.destroy();
+                resolve();
+            });
+
+            res.on('finish', resolve);
+            res.on('close', resolve);
+
+            res.writeHead(status, headers);
+            stream.pipe(res);
+        });
+    }
+
+    /**
+     * Derive Content-Type and Content-Disposition from the Upload-Metadata.
+     * Files are always served as attachments, so uploaded HTML
+     * is never rendered by the browser.
+     *
+     * @param  {string} upload_metadata Upload-Metadata of the upload
+     * @return {object}                 response headers
+     */
+    _contentHeaders(upload_metadata) {
+        const metadata = Metadata.parse(upload_metadata);
+        const content_type = metadata.filetype || metadata.contentType;
+        const headers = {
+            'Content-Type': content_type || 'application/octet-stream',
+            'Content-Disposition': 'attachment',
+        };
+
+        if (metadata.filename) {
+            const ascii_name = metadata.filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+            headers['Content-Disposition'] = `attachment; filename="${ascii_name}"; filename*=UTF-8''${encodeURIComponent(metadata.filename)}`;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Parse a Range header against the size of the upload.
+     * Only single byte ranges are supported, others are ignored.
+     *
+     * @param  {string}  range_header Range header of the request
+     * @param  {integer} size         size of the upload
+     * @return {object|null|false}    {start, end} inclusive, null to send
+     *                                the whole file, false if unsatisfiable
+     */
+    _parseRange(range_header, size) {
+        const match = /^bytes=(\d*)-(\d*)$/.exec((range_header || '').trim());
+        if (!match || (match[1] === '' && match[2] === '')) {
+            return null;
+        }
+
+        let start;
+        let end;
+        if (match[1] === '') {
+            // A suffix range selects the last bytes of the file
+            start = Math.max(size - parseInt(match[2], 10), 0);
+            end = size - 1;
+        }
+        else {
+            start = parseInt(match[1], 10);
+            end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+        }
+
+        if (start >= size || start > end) {
+            return false;
+        }
+
+        return { start, end };
+    }
+}
+
+module.exports = GetHandler;
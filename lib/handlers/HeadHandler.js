@@ -20,6 +20,12 @@ class HeadHandler extends BaseHandler {
 
         return this.store.getOffset(file_id)
             .then((file) => {
+                const upload_expires = this.getUploadExpiration(file, file.size);
+                if (upload_expires && upload_expires < new Date()) {
+                    log(`[HeadHandler] send: ${file_id} expired at ${upload_expires.toUTCString()}`);
+                    return Promise.reject(ERRORS.FILE_NO_LONGER_EXISTS);
+                }
+
                 // The Server MUST prevent the client and/or proxies from
                 // caching the response by adding the Cache-Control: no-store
                 // header to the response.
@@ -47,6 +53,18 @@ class HeadHandler extends BaseHandler {
                     res.setHeader('Upload-Metadata', file.upload_metadata);
                 }
 
+                if (file.upload_concat !== undefined) {
+                    // The response for partial and final uploads of the
+                    // concatenation extension MUST include Upload-Concat.
+                    res.setHeader('Upload-Concat', file.upload_concat);
+                }
+
+                if (upload_expires) {
+                    // The Server SHOULD include the Upload-Expires header in
+                    // the response for an unfinished upload.
+                    res.setHeader('Upload-Expires', upload_expires.toUTCString());
+                }
+
                 return res.end();
             })
             .catch((error) => {
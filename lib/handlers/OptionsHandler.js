@@ -3,7 +3,11 @@
 const BaseHandler = require('./BaseHandler');
 const ALLOWED_METHODS = require('../constants').ALLOWED_METHODS;
 const ALLOWED_HEADERS = require('../constants').ALLOWED_HEADERS;
+const CHECKSUM_ALGORITHMS = require('../constants').CHECKSUM_ALGORITHMS;
+const ERRORS = require('../constants').ERRORS;
 const MAX_AGE = require('../constants').MAX_AGE;
+const debug = require('debug');
+const log = debug('tus-node-server:handlers:options');
 
 // A successful response indicated by the 204 No Content status MUST contain
 // the Tus-Version header. It MAY include the Tus-Extension and Tus-Max-Size headers.
@@ -27,6 +31,37 @@ class OptionsHandler extends BaseHandler {
             res.setHeader('Tus-Extension', this.store.extensions);
         }
 
+        if (this.store.hasExtension('checksum')) {
+            res.setHeader('Tus-Checksum-Algorithm', CHECKSUM_ALGORITHMS.join());
+        }
+
+        if (typeof this.store.maxSize !== 'function') {
+            return this._sendMaxSize(res, this.store.maxSize);
+        }
+
+        // The maximum size may depend on the request
+        return this.store.getMaxSize(req)
+            .then((max_size) => this._sendMaxSize(res, max_size))
+            .catch((error) => {
+                log('[OptionsHandler]', error);
+                const status_code = error.status_code || ERRORS.UNKNOWN_ERROR.status_code;
+                const body = error.body || `${ERRORS.UNKNOWN_ERROR.body}${error.message || ''}\n`;
+                return super.send(res, status_code, {}, body);
+            });
+    }
+
+    /**
+     * Respond with the Tus-Max-Size header, if there is a limit.
+     *
+     * @param  {object}  res      http.ServerResponse
+     * @param  {integer} max_size maximum size of an upload, 0 for no limit
+     * @return {ServerResponse}
+     */
+    _sendMaxSize(res, max_size) {
+        if (max_size) {
+            res.setHeader('Tus-Max-Size', max_size);
+        }
+
         return super.send(res, 204);
     }
 }
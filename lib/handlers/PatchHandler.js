@@ -1,6 +1,7 @@
 'use strict';
 
 const BaseHandler = require('./BaseHandler');
+const Checksum = require('../models/Checksum');
 const ERRORS = require('../constants').ERRORS;
 const debug = require('debug');
 const log = debug('tus-node-server:handlers:patch');
@@ -30,23 +31,67 @@ class PatchHandler extends BaseHandler {
             return super.send(res, ERRORS.INVALID_CONTENT_TYPE.status_code, {}, ERRORS.INVALID_CONTENT_TYPE.body);
         }
 
+        // Upload-Checksum is only meaningful if the store can verify it
+        let checksum;
+        const upload_checksum = req.headers['upload-checksum'];
+        if (upload_checksum !== undefined && this.store.hasExtension('checksum')) {
+            const { algorithm, value } = Checksum.parse(upload_checksum);
+            if (!Checksum.isSupported(algorithm)) {
+                return super.send(res, ERRORS.UNSUPPORTED_CHECKSUM_ALGORITHM.status_code, {}, ERRORS.UNSUPPORTED_CHECKSUM_ALGORITHM.body);
+            }
+
+            checksum = new Checksum(algorithm, value);
+        }
+
         offset = parseInt(offset, 10);
 
-        return this.store.getOffset(file_id)
-            .then((stats) => {
-                if (stats.size !== offset) {
-                    // If the offsets do not match, the Server MUST respond with the 409 Conflict status without modifying the upload resource.
-                    log(`[PatchHandler] send: Incorrect offset - ${offset} sent but file is ${stats.size}`);
-                    return Promise.reject(ERRORS.INVALID_OFFSET);
-                }
+        let stats;
+        // Requests for an upload are handled one at a time, so its
+        // offset cannot change between checking it and writing
+        return this.withLock(file_id, (release) => {
+            let max_size;
+            return Promise.all([this.store.getOffset(file_id), this.store.getMaxSize(req)])
+                .then(([file, size]) => {
+                    stats = file;
+                    max_size = size;
+
+                    const upload_expires = this.getUploadExpiration(stats, stats.size);
+                    if (upload_expires && upload_expires < new Date()) {
+                        log(`[PatchHandler] send: ${file_id} expired at ${upload_expires.toUTCString()}`);
+                        return Promise.reject(ERRORS.FILE_NO_LONGER_EXISTS);
+                    }
+
+                    if (stats.upload_concat && stats.upload_concat.startsWith('final;')) {
+                        // The Server MUST respond with the 403 Forbidden status to
+                        // PATCH requests against a final upload.
+                        log(`[PatchHandler] send: ${file_id} is a final upload`);
+                        return Promise.reject(ERRORS.MODIFY_FINAL_UPLOAD);
+                    }
+
+                    if (stats.size !== offset) {
+                        // If the offsets do not match, the Server MUST respond with the 409 Conflict status without modifying the upload resource.
+                        log(`[PatchHandler] send: Incorrect offset - ${offset} sent but file is ${stats.size}`);
+                        return Promise.reject(ERRORS.INVALID_OFFSET);
+                    }
 
-                return this.store.write(req, file_id, offset);
+                    return this._declareUploadLength(req, file_id, stats, max_size)
+                        .then(() => this.writeToStore(req, file_id, offset, max_size, checksum, release));
+                });
+        })
+            .then((new_offset) => {
+                return this.finishUpload(req, res, file_id, stats, new_offset)
+                    .then(() => new_offset);
             })
             .then((new_offset) => {
                 //  It MUST include the Upload-Offset header containing the new offset.
                 const headers = {
                     'Upload-Offset': new_offset,
                 };
+
+                const upload_expires = this.getUploadExpiration(stats, new_offset);
+                if (upload_expires) {
+                    headers['Upload-Expires'] = upload_expires.toUTCString();
+                }
                 // The Server MUST acknowledge successful PATCH requests with the 204
                 return super.send(res, 204, headers);
             })
@@ -57,6 +102,50 @@ class PatchHandler extends BaseHandler {
                 return super.send(res, status_code, {}, body);
             });
     }
+
+    /**
+     * Set the length of a deferred upload from the Upload-Length header,
+     * implementing the creation-defer-length extension.
+     *
+     * @param  {object} req      http.incomingMessage
+     * @param  {string} file_id  name of the file
+     * @param  {object} stats    upload info returned by the store
+     * @param  {integer} max_size maximum size of the upload, 0 for no limit
+     * @return {Promise}
+     */
+    _declareUploadLength(req, file_id, stats, max_size) {
+        const upload_length = req.headers['upload-length'];
+        if (upload_length === undefined) {
+            return Promise.resolve();
+        }
+
+        // Once known, the length of an upload cannot be changed
+        if (stats.upload_length !== undefined) {
+            if (parseInt(stats.upload_length, 10) !== parseInt(upload_length, 10)) {
+                log(`[PatchHandler] send: Upload-Length ${upload_length} sent but upload is ${stats.upload_length}`);
+                return Promise.reject(ERRORS.INVALID_UPLOAD_LENGTH);
+            }
+
+            return Promise.resolve();
+        }
+
+        if (parseInt(upload_length, 10) < stats.size) {
+            log(`[PatchHandler] send: Upload-Length ${upload_length} is smaller than the offset ${stats.size}`);
+            return Promise.reject(ERRORS.INVALID_UPLOAD_LENGTH);
+        }
+
+        if (max_size && parseInt(upload_length, 10) > max_size) {
+            log(`[PatchHandler] send: Upload-Length ${upload_length} exceeds the maximum size ${max_size}`);
+            return Promise.reject(ERRORS.MAX_SIZE_EXCEEDED);
+        }
+
+        return this.store.declareUploadLength(file_id, upload_length)
+            .then(() => {
+                stats.upload_length = upload_length;
+                delete stats.upload_defer_length;
+                return stats;
+            });
+    }
 }
 
 module.exports = PatchHandler;
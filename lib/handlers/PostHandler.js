@@ -14,12 +14,69 @@ class PostHandler extends BaseHandler {
      * @return {function}
      */
     send(req, res) {
-        return this.store.create(req)
+        // The creation-with-upload extension allows the request to
+        // contain the initial bytes of the upload.
+        const has_body = this.store.hasExtension('creation-with-upload') &&
+            req.headers['content-type'] === 'application/offset+octet-stream';
+
+        let partial_ids = null;
+        let max_size = 0;
+        let offset = 0;
+        return Promise.all([this._prepareFinalUpload(req), this.store.getMaxSize(req)])
+            .then(([ids, size]) => {
+                partial_ids = ids;
+                max_size = size;
+
+                const upload_length = req.headers['upload-length'];
+                if (max_size && upload_length !== undefined && parseInt(upload_length, 10) > max_size) {
+                    log(`[PostHandler] send: Upload-Length ${upload_length} exceeds the maximum size ${max_size}`);
+                    throw ERRORS.MAX_SIZE_EXCEEDED;
+                }
+
+                return this._createUpload(req, res);
+            })
+            .then((File) => {
+                let written;
+                if (partial_ids) {
+                    written = this.store.concatenate(File.id, partial_ids);
+                }
+                else if (has_body) {
+                    written = this.writeToStore(req, File.id, 0, max_size);
+                }
+                else {
+                    return File;
+                }
+
+                return written.then((new_offset) => {
+                    offset = new_offset;
+                    return File;
+                });
+            })
+            .then((File) => {
+                return this.finishUpload(req, res, File.id, File, offset)
+                    .then(() => File);
+            })
             .then((File) => {
                 const url = this.store.relativeLocation ? `${req.baseUrl || ''}${this.store.path}/${File.id}` : `//${req.headers.host}${req.baseUrl || ''}${this.store.path}/${File.id}`;
 
                 this.emit(EVENT_ENDPOINT_CREATED, { url });
-                return super.send(res, 201, { Location: url });
+
+                const headers = {
+                    Location: url,
+                };
+
+                if (has_body) {
+                    // The Server MUST include the Upload-Offset header in
+                    // the response when the body was accepted.
+                    headers['Upload-Offset'] = offset;
+                }
+
+                const upload_expires = this.getUploadExpiration(File, offset);
+                if (upload_expires) {
+                    headers['Upload-Expires'] = upload_expires.toUTCString();
+                }
+
+                return super.send(res, 201, headers);
             })
             .catch((error) => {
                 log('[PostHandler]', error);
@@ -28,6 +85,76 @@ class PostHandler extends BaseHandler {
                 return super.send(res, status_code, {}, body);
             });
     }
+
+    /**
+     * Create the upload in the store, once the onUploadCreate hook allows
+     * it. The hook may change the metadata of the upload.
+     *
+     * @param  {object} req http.incomingMessage
+     * @param  {object} res http.ServerResponse
+     * @return {Promise}    File created by the store
+     */
+    _createUpload(req, res) {
+        const upload = this.getUploadInfo(undefined, {
+            upload_length: req.headers['upload-length'],
+            upload_defer_length: req.headers['upload-defer-length'],
+            upload_metadata: req.headers['upload-metadata'],
+            upload_concat: req.headers['upload-concat'],
+        }, 0);
+
+        return this.runHook('onUploadCreate', req, res, upload)
+            .then(() => {
+                // Stores read the metadata from the request
+                if (upload.upload_metadata === undefined) {
+                    delete req.headers['upload-metadata'];
+                }
+                else {
+                    req.headers['upload-metadata'] = upload.upload_metadata;
+                }
+
+                return this.store.create(req);
+            });
+    }
+
+    /**
+     * Check the partial uploads of a final upload, implementing the
+     * concatenation extension. Resolves with null for any other upload.
+     *
+     * http://tus.io/protocols/resumable-upload.html#concatenation
+     *
+     * @param  {object} req http.incomingMessage
+     * @return {Promise}    ids of the partial uploads, in order
+     */
+    _prepareFinalUpload(req) {
+        const upload_concat = req.headers['upload-concat'];
+        if (!this.store.hasExtension('concatenation') || !upload_concat || !upload_concat.startsWith('final;')) {
+            return Promise.resolve(null);
+        }
+
+        const partial_ids = upload_concat.slice('final;'.length).trim().split(/\s+/)
+            .map((url) => this.getFileIdFromUrl(url, req.baseUrl));
+        if (partial_ids.indexOf(false) !== -1) {
+            return Promise.reject(ERRORS.INVALID_CONCAT);
+        }
+
+        return Promise.all(partial_ids.map((partial_id) => this.store.getOffset(partial_id)))
+            .then((partials) => {
+                if (partials.some((partial) => partial.upload_concat !== 'partial')) {
+                    throw ERRORS.INVALID_CONCAT;
+                }
+
+                if (partials.some((partial) => partial.size !== parseInt(partial.upload_length, 10))) {
+                    throw ERRORS.PARTIAL_UPLOAD_NOT_FINISHED;
+                }
+
+                // The length of a final upload is the sum of its partial
+                // uploads, stores read it like any other Upload-Length.
+                req.headers['upload-length'] = `${partials.reduce((length, partial) => length + partial.size, 0)}`;
+                delete req.headers['upload-defer-length'];
+
+                return partial_ids;
+            });
+    }
 }
 
 module.exports = PostHandler;
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * @fileOverview
+ * Based key-value store for all KvStore classes. Data stores cache the
+ * information about their uploads in one, sparing requests to the storage.
+ * Servers sharing uploads behind a load balancer can share the cache by
+ * implementing these methods with an external store, eg. Redis.
+ *
+ * Values are plain objects, which external stores may serialise as JSON.
+ */
+
+class KvStore {
+    /**
+     * @param  {string}  key
+     * @return {Promise}     which resolves with the value, undefined if missing
+     */
+    get(key) {
+        return Promise.resolve(undefined);
+    }
+
+    /**
+     * @param  {string}  key
+     * @param  {object}  value
+     * @return {Promise}
+     */
+    set(key, value) {
+        return Promise.resolve();
+    }
+
+    /**
+     * @param  {string}  key
+     * @return {Promise}
+     */
+    delete(key) {
+        return Promise.resolve();
+    }
+}
+
+module.exports = KvStore;
@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * @fileOverview
+ * KvStore keeping values in memory. The least recently used values are
+ * evicted beyond `maxSize` entries, and values expire after `ttlInMilliseconds`,
+ * so changes made by other servers are eventually seen.
+ */
+
+const KvStore = require('./KvStore');
+
+const DEFAULT_MAX_SIZE = 1000;
+const DEFAULT_TTL = 5 * 60 * 1000;
+
+class MemoryKvStore extends KvStore {
+    constructor(options) {
+        super();
+        options = options || {};
+
+        if (options.maxSize !== undefined && !(options.maxSize > 0)) {
+            throw new Error('maxSize must be a positive number');
+        }
+        if (options.ttlInMilliseconds !== undefined && !(options.ttlInMilliseconds >= 0)) {
+            throw new Error('ttlInMilliseconds must be a non negative number');
+        }
+
+        this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+        // 0 keeps values until they are evicted
+        this.ttlInMilliseconds = options.ttlInMilliseconds === undefined ? DEFAULT_TTL : options.ttlInMilliseconds;
+
+        // Entries `{ value, expires }` by key, from least to most recently used
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return Promise.resolve(undefined);
+        }
+
+        this.entries.delete(key);
+        if (entry.expires && entry.expires <= Date.now()) {
+            return Promise.resolve(undefined);
+        }
+
+        this.entries.set(key, entry);
+        return Promise.resolve(entry.value);
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value,
+            expires: this.ttlInMilliseconds ? Date.now() + this.ttlInMilliseconds : 0,
+        });
+
+        if (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        return Promise.resolve();
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+        return Promise.resolve();
+    }
+}
+
+module.exports = MemoryKvStore;
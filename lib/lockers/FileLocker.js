@@ -0,0 +1,242 @@
+'use strict';
+
+/**
+ * @fileOverview
+ * Locker using lock files in a shared directory, for servers running
+ * in several processes or on several hosts with a shared filesystem.
+ *
+ * A lock is a `${id}.lock` file created exclusively, the id being URI
+ * encoded as it may contain slashes. Its holder keeps touching it, so the
+ * locks of crashed processes go stale and are taken over. Waiting requests
+ * ask the holder to release the lock by creating a `${id}.lock.release`
+ * file, which the holder polls for.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Locker = require('./Locker');
+const ERRORS = require('../constants').ERRORS;
+const debug = require('debug');
+const log = debug('tus-node-server:lockers:filelocker');
+
+const FILE_EXISTS = 'EEXIST';
+const FILE_DOESNT_EXIST = 'ENOENT';
+const noop = () => {};
+
+class FileLocker extends Locker {
+    constructor(options) {
+        super(options);
+        options = options || {};
+
+        this.directory = options.directory || path.join(os.tmpdir(), 'tus-locks');
+        this.retryIntervalInMilliseconds = options.retryIntervalInMilliseconds || 100;
+        this.staleTimeoutInMilliseconds = options.staleTimeoutInMilliseconds || 10 * 1000;
+
+        // Timers of the locks held by this process, by upload id
+        this.held = new Map();
+
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    _lockPath(id) {
+        return path.join(this.directory, `${encodeURIComponent(id)}.lock`);
+    }
+
+    /**
+     * Acquire the lock, polling until the lock file can be created.
+     *
+     * @param  {string}   id               id of the upload
+     * @param  {Function} [requestRelease] called when another request waits for the lock
+     * @return {Promise}
+     */
+    lock(id, requestRelease) {
+        const lock_path = this._lockPath(id);
+        const deadline = Date.now() + this.acquireLockTimeoutInMilliseconds;
+        let release_requested = false;
+
+        const attempt = () => this._createLockFile(lock_path)
+            .then((created) => {
+                if (created) {
+                    return true;
+                }
+
+                if (!release_requested) {
+                    release_requested = true;
+                    log(`[FileLocker] lock: asking the holder of ${id} to release it`);
+                    fs.writeFile(`${lock_path}.release`, '', noop);
+                }
+
+                if (Date.now() >= deadline) {
+                    log(`[FileLocker] lock: timed out waiting for ${id}`);
+                    throw ERRORS.UPLOAD_LOCKED;
+                }
+
+                return new Promise((resolve) => setTimeout(resolve, this.retryIntervalInMilliseconds))
+                    .then(attempt);
+            });
+
+        return attempt().then(() => this._hold(id, requestRelease));
+    }
+
+    /**
+     * Release the lock by removing the lock file.
+     *
+     * @param  {string}  id id of the upload
+     * @return {Promise}
+     */
+    unlock(id) {
+        clearInterval(this.held.get(id));
+        this.held.delete(id);
+
+        return this._unlink(this._lockPath(id))
+            .catch((error) => {
+                log('[FileLocker] unlock: Error', error);
+                throw error;
+            });
+    }
+
+    /**
+     * Create the lock file, taking over stale lock files.
+     *
+     * @param  {string}  lock_path
+     * @return {Promise}           whether the lock file was created
+     */
+    _createLockFile(lock_path) {
+        return this._createFile(lock_path)
+            .then((created) => {
+                if (created) {
+                    return true;
+                }
+
+                return this._isStale(lock_path)
+                    .then((stale) => (stale ? this._takeOver(lock_path) : false));
+            });
+    }
+
+    /**
+     * Create a file exclusively.
+     *
+     * @param  {string}  file_path
+     * @return {Promise}           whether the file was created
+     */
+    _createFile(file_path) {
+        return new Promise((resolve, reject) => {
+            fs.open(file_path, 'wx', (error, fd) => {
+                if (!error) {
+                    return fs.close(fd, () => resolve(true));
+                }
+
+                if (error.code !== FILE_EXISTS) {
+                    return reject(error);
+                }
+
+                return resolve(false);
+            });
+        });
+    }
+
+    /**
+     * Whether the file was not touched for `staleTimeoutInMilliseconds`.
+     * A file removed in the meantime is not stale.
+     *
+     * @param  {string}  file_path
+     * @return {Promise}
+     */
+    _isStale(file_path) {
+        return new Promise((resolve) => {
+            fs.stat(file_path, (error, stats) => {
+                resolve(!error && Date.now() - stats.mtime.getTime() >= this.staleTimeoutInMilliseconds);
+            });
+        });
+    }
+
+    /**
+     * Replace a stale lock file. Waiters take turns with a
+     * `${lock_path}.takeover` file, and check again that the lock file
+     * is stale before removing it: another waiter may have replaced it
+     * since it was found stale.
+     *
+     * @param  {string}  lock_path
+     * @return {Promise}           whether the lock file was created
+     */
+    _takeOver(lock_path) {
+        const takeover_path = `${lock_path}.takeover`;
+
+        return this._createFile(takeover_path)
+            .then((taking_over) => {
+                if (!taking_over) {
+                    // The takeover file of a crashed waiter goes stale too
+                    return this._isStale(takeover_path)
+                        .then((stale) => (stale ? this._unlink(takeover_path) : undefined))
+                        .then(() => false);
+                }
+
+                const takeover = this._isStale(lock_path)
+                    .then((stale) => {
+                        if (!stale) {
+                            return false;
+                        }
+
+                        log(`[FileLocker] lock: taking over stale lock ${lock_path}`);
+                        return this._unlink(lock_path).then(() => this._createFile(lock_path));
+                    });
+
+                return takeover.then((created) => this._unlink(takeover_path).then(() => created), (error) => {
+                    return this._unlink(takeover_path).then(() => Promise.reject(error));
+                });
+            });
+    }
+
+    /**
+     * Remove a file, which may have been removed already.
+     *
+     * @param  {string}  file_path
+     * @return {Promise}
+     */
+    _unlink(file_path) {
+        return new Promise((resolve, reject) => {
+            fs.unlink(file_path, (error) => {
+                if (error && error.code !== FILE_DOESNT_EXIST) {
+                    return reject(error);
+                }
+
+                return resolve();
+            });
+        });
+    }
+
+    /**
+     * Keep the lock file fresh and watch for release requests while
+     * the lock is held.
+     *
+     * @param  {string}   id               id of the upload
+     * @param  {Function} [requestRelease] called when another request waits for the lock
+     */
+    _hold(id, requestRelease) {
+        const lock_path = this._lockPath(id);
+        const release_path = `${lock_path}.release`;
+
+        // Requests made of the previous holder are not meant for us
+        fs.unlink(release_path, noop);
+
+        const timer = setInterval(() => {
+            const now = new Date();
+            fs.utimes(lock_path, now, now, noop);
+
+            // Removing the file only succeeds if a waiting request created it
+            fs.unlink(release_path, (error) => {
+                if (!error && requestRelease) {
+                    log(`[FileLocker] ${id} was asked to release the lock`);
+                    requestRelease();
+                }
+            });
+        }, this.retryIntervalInMilliseconds);
+
+        // Don't keep the process alive just for the lock
+        timer.unref();
+        this.held.set(id, timer);
+    }
+}
+
+module.exports = FileLocker;
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * @fileOverview
+ * Based locker for all Locker classes. Lockers serialise the requests
+ * modifying an upload, so two PATCH requests cannot write at once.
+ */
+
+const DEFAULT_ACQUIRE_LOCK_TIMEOUT = 30 * 1000;
+
+class Locker {
+    constructor(options) {
+        options = options || {};
+        if (options.acquireLockTimeoutInMilliseconds !== undefined && !(options.acquireLockTimeoutInMilliseconds >= 0)) {
+            throw new Error('acquireLockTimeoutInMilliseconds must be a non negative number');
+        }
+        this.acquireLockTimeoutInMilliseconds = options.acquireLockTimeoutInMilliseconds || DEFAULT_ACQUIRE_LOCK_TIMEOUT;
+    }
+
+    /**
+     * Resolves once the lock of the upload is acquired, or rejects with
+     * UPLOAD_LOCKED after `acquireLockTimeoutInMilliseconds`. While waiting,
+     * the holder of the lock is asked to release it through the
+     * `requestRelease` callback it passed when acquiring the lock.
+     *
+     * @param  {string}   id               id of the upload
+     * @param  {Function} [requestRelease] called when another request waits for the lock
+     * @return {Promise}
+     */
+    lock(id, requestRelease) {
+        return Promise.resolve();
+    }
+
+    /**
+     * Releases the lock of the upload, handing it to the next waiting request.
+     *
+     * @param  {string}  id id of the upload
+     * @return {Promise}
+     */
+    unlock(id) {
+        return Promise.resolve();
+    }
+}
+
+module.exports = Locker;
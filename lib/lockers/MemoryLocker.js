@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * @fileOverview
+ * Locker keeping the locks in memory, for servers running in a single process.
+ */
+
+const Locker = require('./Locker');
+const ERRORS = require('../constants').ERRORS;
+const debug = require('debug');
+const log = debug('tus-node-server:lockers:memorylocker');
+
+class MemoryLocker extends Locker {
+    constructor(options) {
+        super(options);
+
+        // Holder's requestRelease and queue of waiting requests by upload id
+        this.locks = new Map();
+    }
+
+    /**
+     * Acquire the lock, waiting in line behind the current holder.
+     *
+     * @param  {string}   id               id of the upload
+     * @param  {Function} [requestRelease] called when another request waits for the lock
+     * @return {Promise}
+     */
+    lock(id, requestRelease) {
+        const lock = this.locks.get(id);
+        if (!lock) {
+            this.locks.set(id, { requestRelease, waiting: [] });
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { requestRelease };
+
+            const timer = setTimeout(() => {
+                lock.waiting.splice(lock.waiting.indexOf(waiter), 1);
+                log(`[MemoryLocker] lock: timed out waiting for ${id}`);
+                reject(ERRORS.UPLOAD_LOCKED);
+            }, this.acquireLockTimeoutInMilliseconds);
+
+            waiter.acquire = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            lock.waiting.push(waiter);
+
+            if (lock.requestRelease) {
+                log(`[MemoryLocker] lock: asking the holder of ${id} to release it`);
+                lock.requestRelease();
+            }
+        });
+    }
+
+    /**
+     * Release the lock, handing it to the request which waited longest.
+     *
+     * @param  {string}  id id of the upload
+     * @return {Promise}
+     */
+    unlock(id) {
+        const lock = this.locks.get(id);
+        if (!lock) {
+            return Promise.resolve();
+        }
+
+        const next = lock.waiting.shift();
+        if (!next) {
+            this.locks.delete(id);
+            return Promise.resolve();
+        }
+
+        lock.requestRelease = next.requestRelease;
+        next.acquire();
+        return Promise.resolve();
+    }
+}
+
+module.exports = MemoryLocker;
@@ -0,0 +1,99 @@
+'use strict';
+
+/**
+ * @fileOverview
+ * Model for the Upload-Checksum of a PATCH request.
+ *
+ * http://tus.io/protocols/resumable-upload.html#checksum
+ */
+
+const crypto = require('crypto');
+const CHECKSUM_ALGORITHMS = require('../constants').CHECKSUM_ALGORITHMS;
+
+/* eslint-disable no-bitwise */
+// Node's crypto module has no crc32, so use a table driven implementation
+const CRC32_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+class Crc32 {
+    constructor() {
+        this.crc = -1;
+    }
+
+    update(buffer) {
+        for (let i = 0; i < buffer.length; i++) {
+            this.crc = CRC32_TABLE[(this.crc ^ buffer[i]) & 0xFF] ^ (this.crc >>> 8);
+        }
+        return this;
+    }
+
+    digest(encoding) {
+        const digest = Buffer.alloc(4);
+        digest.writeUInt32BE((this.crc ^ -1) >>> 0, 0);
+        return encoding ? digest.toString(encoding) : digest;
+    }
+}
+/* eslint-enable no-bitwise */
+
+class Checksum {
+    constructor(algorithm, value) {
+        if (!Checksum.isSupported(algorithm)) {
+            throw new Error(`[Checksum] constructor was given an unsupported algorithm ${algorithm}`);
+        }
+
+        this.algorithm = algorithm;
+        this.value = value;
+        this.hash = algorithm === 'crc32' ? new Crc32() : crypto.createHash(algorithm);
+    }
+
+    /**
+     * Whether the server is able to verify checksums of the given algorithm.
+     *
+     * @param  {string}  algorithm
+     * @return {Boolean}
+     */
+    static isSupported(algorithm) {
+        return CHECKSUM_ALGORITHMS.indexOf(algorithm) !== -1;
+    }
+
+    /**
+     * Split an Upload-Checksum header into its algorithm and Base64 value.
+     *
+     * @param  {string} header_value
+     * @return {object}
+     */
+    static parse(header_value) {
+        const [algorithm, value] = header_value.trim().split(' ');
+        return { algorithm, value };
+    }
+
+    /**
+     * Feed the received bytes into the hash.
+     *
+     * @param  {Buffer} buffer
+     */
+    update(buffer) {
+        this.hash.update(buffer);
+    }
+
+    /**
+     * Compare the digest of all received bytes with the client's value.
+     * The hash can only be digested once.
+     *
+     * @return {Boolean}
+     */
+    matches() {
+        return this.hash.digest('base64') === this.value;
+    }
+}
+
+module.exports = Checksum;
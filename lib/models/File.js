@@ -8,7 +8,7 @@
  */
 
 class File {
-    constructor(file_id, upload_length, upload_defer_length, upload_metadata) {
+    constructor(file_id, upload_length, upload_defer_length, upload_metadata, upload_concat) {
         if (!file_id) {
             throw new Error('[File] constructor must be given a file_id');
         }
@@ -21,6 +21,8 @@ class File {
         this.upload_length = upload_length;
         this.upload_defer_length = upload_defer_length;
         this.upload_metadata = upload_metadata;
+        this.upload_concat = upload_concat;
+        this.creation_date = new Date().toISOString();
     }
 }
 
@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * @fileOverview
+ * Model for the Upload-Metadata of an upload.
+ *
+ * http://tus.io/protocols/resumable-upload.html#upload-metadata
+ */
+
+class Metadata {
+    /**
+     * Decode the comma separated, Base64 encoded key value pairs
+     * of the Upload-Metadata header. Keys may have no value.
+     *
+     * @param  {string} upload_metadata
+     * @return {object}                 decoded values by key
+     */
+    static parse(upload_metadata) {
+        const metadata = {};
+        if (!upload_metadata) {
+            return metadata;
+        }
+
+        upload_metadata.split(',').forEach((pair) => {
+            const [key, value] = pair.trim().split(' ');
+            if (key) {
+                metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+            }
+        });
+
+        return metadata;
+    }
+}
+
+module.exports = Metadata;
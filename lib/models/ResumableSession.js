@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * @fileOverview
+ * Resumable upload session of a Google API, as used by Google Cloud Storage
+ * and Google Drive. The session URI authorises the requests by itself.
+ * Sessions only commit multiples of 256KiB until the last bytes of the
+ * upload, the number of bytes committed is the offset of the session.
+ *
+ * https://cloud.google.com/storage/docs/performing-resumable-uploads
+ */
+
+const http = require('http');
+const https = require('https');
+const ERRORS = require('../constants').ERRORS;
+const debug = require('debug');
+const log = debug('tus-node-server:models:resumablesession');
+
+// Status of a resumable upload session which did not receive all the bytes yet
+const RESUMABLE_INCOMPLETE = 308;
+
+class ResumableSession {
+    /**
+     * @param  {string} uri  URI of the session
+     */
+    constructor(uri) {
+        if (!uri) {
+            throw new Error('[ResumableSession] constructor must be given a session URI');
+        }
+
+        this.uri = uri;
+    }
+
+    /**
+     * Resolve with whether the stream has any bytes to read,
+     * without consuming them.
+     *
+     * @param  {Stream} readable
+     * @return {Promise<boolean>}
+     */
+    static hasData(readable) {
+        return new Promise((resolve, reject) => {
+            // Only the first event matters, the others resolve nothing
+            readable.once('readable', () => resolve(readable.readableLength > 0));
+            readable.once('end', () => resolve(false));
+            readable.once('error', reject);
+        });
+    }
+
+    /**
+     * Append the bytes of the stream to the session.
+     *
+     * @param  {Stream} readable        bytes to append
+     * @param  {number} offset          offset of the first byte
+     * @param  {number} [upload_length] length of the upload, if known
+     * @return {Promise}                `{ offset, complete, body }`
+     */
+    append(readable, offset, upload_length) {
+        const total = upload_length === undefined ? '*' : upload_length;
+        return this._request({ 'Content-Range': `bytes ${offset}-*/${total}` }, readable)
+            .then((response) => this._offset(response, upload_length));
+    }
+
+    /**
+     * Complete a session which has all the bytes of the upload,
+     * once its length is known.
+     *
+     * @param  {number} upload_length length of the upload
+     * @return {Promise}              `{ offset, complete, body }`
+     */
+    finish(upload_length) {
+        return this._request({ 'Content-Range': `bytes */${upload_length}` })
+            .then((response) => this._offset(response, upload_length));
+    }
+
+    /**
+     * Query the number of bytes committed by the session.
+     *
+     * @param  {number} [upload_length] length of the upload, if known
+     * @return {Promise}                `{ offset, complete, body }`
+     */
+    status(upload_length) {
+        return this._request({ 'Content-Range': 'bytes */*' })
+            .then((response) => this._offset(response, upload_length));
+    }
+
+    /**
+     * Send a PUT request to the session.
+     *
+     * @param  {object} headers  request headers
+     * @param  {Stream} [body]   bytes to append to the session
+     * @return {Promise}         `{ status, range, body }` of the response
+     */
+    _request(headers, body) {
+        return new Promise((resolve, reject) => {
+            const url = new URL(this.uri);
+            const client = url.protocol === 'http:' ? http : https;
+            const request = client.request(url, { method: 'PUT', headers }, (res) => {
+                const chunks = [];
+                res.on('data', (chunk) => chunks.push(chunk));
+                res.on('error', reject);
+                res.on('end', () => resolve({
+                    status: res.statusCode,
+                    range: res.headers.range,
+                    body: Buffer.concat(chunks).toString(),
+                }));
+            });
+            request.on('error', reject);
+
+            if (!body) {
+                request.setHeader('Content-Length', 0);
+                request.end();
+                return;
+            }
+
+            body.on('error', (error) => request.destroy(error));
+            body.pipe(request);
+        });
+    }
+
+    /**
+     * Number of bytes committed by the session, from its response. The
+     * body of the response completing the session describes the upload.
+     *
+     * @param  {object} response        `{ status, range, body }`
+     * @param  {number} [upload_length] length of the upload, if known
+     * @return {object}                 `{ offset, complete, body }`
+     */
+    _offset(response, upload_length) {
+        if (response.status === 200 || response.status === 201) {
+            return { offset: upload_length, complete: true, body: response.body };
+        }
+
+        if (response.status === RESUMABLE_INCOMPLETE) {
+            // `Range: bytes=0-<last committed byte>`, absent if none was
+            const match = /^bytes=0-(\d+)$/.exec(response.range || '');
+            return { offset: match ? parseInt(match[1], 10) + 1 : 0, complete: false };
+        }
+
+        if (response.status === 404 || response.status === 410) {
+            log(`[ResumableSession] ${this.uri} is gone (${response.status})`);
+            throw ERRORS.FILE_NOT_FOUND;
+        }
+
+        throw new Error(`[ResumableSession] session responded ${response.status}`);
+    }
+}
+
+module.exports = ResumableSession;
@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * @fileOverview
+ * Transform stream passing at most `limit` bytes of a request body
+ * through to a store. Once the limit is reached the stream ends, so the
+ * store finishes writing as usual, and the rest of the body is drained.
+ */
+
+const Transform = require('stream').Transform;
+
+class StreamLimiter extends Transform {
+    constructor(limit) {
+        super();
+
+        if (!(limit >= 0)) {
+            throw new Error('[StreamLimiter] constructor must be given a non negative limit');
+        }
+
+        this.limit = limit;
+        this.received = 0;
+        this.exceeded = false;
+    }
+
+    _transform(chunk, encoding, callback) {
+        if (this.exceeded) {
+            return callback();
+        }
+
+        const remaining = this.limit - this.received;
+        if (chunk.length > remaining) {
+            this.exceeded = true;
+            this.received = this.limit;
+            if (remaining > 0) {
+                this.push(chunk.slice(0, remaining));
+            }
+            this.push(null);
+            return callback();
+        }
+
+        this.received += chunk.length;
+        return callback(null, chunk);
+    }
+}
+
+module.exports = StreamLimiter;
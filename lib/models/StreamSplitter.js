@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * @fileOverview
+ * Writable stream splitting its input into temporary files of at most
+ * `chunkSize` bytes. Each file is handed to `onChunkFinished({ path, size })`
+ * once complete, the last one when the stream finishes. Writing resumes once
+ * the Promise it returns resolves, which holds back the piped source.
+ * Removing the files is left to the callback.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Writable = require('stream').Writable;
+
+const noop = () => {};
+
+class StreamSplitter extends Writable {
+    /**
+     * @param  {object} options
+     * @param  {number} options.chunkSize maximum size of each file
+     * @param  {string} options.directory where the files are written
+     * @param  {string} [options.prefix]  prefix of the file names
+     * @param  {function} options.onChunkFinished called with each complete file
+     */
+    constructor(options) {
+        super();
+
+        if (!(options.chunkSize > 0)) {
+            throw new Error('[StreamSplitter] constructor must be given a positive chunkSize');
+        }
+
+        if (typeof options.onChunkFinished !== 'function') {
+            throw new Error('[StreamSplitter] constructor must be given an onChunkFinished function');
+        }
+
+        this.chunk_size = options.chunkSize;
+        this.on_chunk_finished = options.onChunkFinished;
+        this.directory = options.directory;
+        this.prefix = options.prefix || '';
+
+        // File being written, `{ path, size, stream }`
+        this.current = null;
+    }
+
+    _write(chunk, encoding, callback) {
+        let data = chunk;
+
+        const next = (error) => {
+            if (error || data.length === 0) {
+                return callback(error);
+            }
+
+            if (!this.current) {
+                this._openChunk();
+            }
+
+            const bytes = data.slice(0, this.chunk_size - this.current.size);
+            data = data.slice(bytes.length);
+            this.current.size += bytes.length;
+
+            return this.current.stream.write(bytes, (write_error) => {
+                if (write_error || this.current.size < this.chunk_size) {
+                    return next(write_error);
+                }
+
+                return this._closeChunk(next);
+            });
+        };
+
+        next();
+    }
+
+    _final(callback) {
+        if (!this.current) {
+            return callback();
+        }
+
+        return this._closeChunk(callback);
+    }
+
+    _destroy(error, callback) {
+        if (this.current) {
+            this.current.stream.destroy();
+            fs.unlink(this.current.path, noop);
+            this.current = null;
+        }
+
+        callback(error);
+    }
+
+    _openChunk() {
+        const name = `${this.prefix}${crypto.randomBytes(16).toString('hex')}`;
+        const chunk_path = path.join(this.directory, name);
+        const stream = fs.createWriteStream(chunk_path);
+
+        // Errors are reported to the write callbacks
+        stream.on('error', noop);
+
+        this.current = { path: chunk_path, size: 0, stream };
+    }
+
+    _closeChunk(callback) {
+        const chunk = this.current;
+        this.current = null;
+
+        let failed = false;
+        chunk.stream.once('error', (error) => {
+            failed = true;
+            fs.unlink(chunk.path, noop);
+            callback(error);
+        });
+        chunk.stream.once('finish', () => {
+            if (failed) {
+                return undefined;
+            }
+
+            return Promise.resolve()
+                .then(() => this.on_chunk_finished({ path: chunk.path, size: chunk.size }))
+                .then(() => callback(), callback);
+        });
+        chunk.stream.end();
+    }
+}
+
+module.exports = StreamSplitter;
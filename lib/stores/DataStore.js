@@ -10,6 +10,7 @@
 const Uid = require('../models/Uid');
 const File = require('../models/File');
 const EventEmitter = require('events');
+const Readable = require('stream').Readable;
 const ERRORS = require('../constants').ERRORS;
 const EVENTS = require('../constants').EVENTS;
 const debug = require('debug');
@@ -23,9 +24,17 @@ class DataStore extends EventEmitter {
         if (options.namingFunction && typeof options.namingFunction !== 'function') {
             throw new Error('namingFunction must be a function');
         }
+        if (options.expirationPeriodInMilliseconds !== undefined && !(options.expirationPeriodInMilliseconds >= 0)) {
+            throw new Error('expirationPeriodInMilliseconds must be a non negative number');
+        }
+        if (options.maxSize !== undefined && typeof options.maxSize !== 'function' && !(options.maxSize >= 0)) {
+            throw new Error('maxSize must be a non negative number or a function');
+        }
         this.path = options.path;
         this.generateFileName = options.namingFunction || Uid.rand;
         this.relativeLocation = options.relativeLocation || false;
+        this.expirationPeriodInMilliseconds = options.expirationPeriodInMilliseconds || 0;
+        this.maxSize = options.maxSize || 0;
     }
 
     get extensions() {
@@ -42,6 +51,60 @@ class DataStore extends EventEmitter {
         this._extensions = extensions_array;
     }
 
+    /**
+     * Whether the store implements the given tus extension.
+     *
+     * @param  {string}  extension name of the extension
+     * @return {Boolean}
+     */
+    hasExtension(extension) {
+        return Array.isArray(this._extensions) && this._extensions.indexOf(extension) !== -1;
+    }
+
+    /**
+     * Resolve once the store can handle requests, rejecting with the
+     * reason it cannot. Stores needing asynchronous initialisation,
+     * eg. checking their bucket, override it.
+     *
+     * @return {Promise}
+     */
+    ready() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Resolve the maximum size of an upload, 0 meaning no limit.
+     * `maxSize` is either a number or a function of the request
+     * returning a number or a Promise.
+     *
+     * @param  {object} req http.incomingMessage
+     * @return {Promise}
+     */
+    getMaxSize(req) {
+        return new Promise((resolve) => {
+            resolve(typeof this.maxSize === 'function' ? this.maxSize(req) : this.maxSize);
+        })
+            .then((max_size) => parseInt(max_size, 10) || 0);
+    }
+
+    /**
+     * Return the date at which an unfinished upload expires, implementing
+     * the expiration extension. Uploads never expire unless the store was
+     * given an `expirationPeriodInMilliseconds`.
+     *
+     * http://tus.io/protocols/resumable-upload.html#expiration
+     *
+     * @param  {object} file  File or the result of getOffset
+     * @return {Date|null}
+     */
+    getExpiration(file) {
+        if (!this.expirationPeriodInMilliseconds || !file || !file.creation_date) {
+            return null;
+        }
+
+        return new Date(new Date(file.creation_date).getTime() + this.expirationPeriodInMilliseconds);
+    }
+
     /**
      * Called in POST requests. This method just creates a
      * file, implementing the creation extension.
@@ -56,13 +119,14 @@ class DataStore extends EventEmitter {
             const upload_length = req.headers['upload-length'];
             const upload_defer_length = req.headers['upload-defer-length'];
             const upload_metadata = req.headers['upload-metadata'];
+            const upload_concat = req.headers['upload-concat'];
 
             if (upload_length === undefined && upload_defer_length === undefined) {
                 return reject(ERRORS.INVALID_LENGTH);
             }
 
             const file_id = this.generateFileName(req);
-            const file = new File(file_id, upload_length, upload_defer_length, upload_metadata);
+            const file = new File(file_id, upload_length, upload_defer_length, upload_metadata, upload_concat);
 
             this.emit(EVENTS.EVENT_FILE_CREATED, { file });
             return resolve(file);
@@ -76,6 +140,12 @@ class DataStore extends EventEmitter {
      *
      * http://tus.io/protocols/resumable-upload.html#concatenation
      *
+     * Stores implementing the checksum extension are given a Checksum
+     * to update with the received bytes, and must discard them if it
+     * does not match.
+     *
+     * http://tus.io/protocols/resumable-upload.html#checksum
+     *
      * @param  {object} req http.incomingMessage
      * @return {Promise}
      */
@@ -90,6 +160,95 @@ class DataStore extends EventEmitter {
         });
     }
 
+    /**
+     * Called in GET requests. This method should return a readable
+     * stream of the bytes of a finished upload.
+     *
+     * @param  {string} file_id  filename
+     * @param  {object} [range]  {start, end} offsets of the bytes to read, inclusive
+     * @return {Stream}
+     */
+    read(file_id, range) {
+        return new Readable({
+            read() {
+                this.push(null);
+            },
+        });
+    }
+
+    /**
+     * Called in PATCH requests carrying the Upload-Length of an upload
+     * created with Upload-Defer-Length. This method should persist the
+     * length, implementing the creation-defer-length extension.
+     *
+     * http://tus.io/protocols/resumable-upload.html#upload-defer-length
+     *
+     * @param  {string} file_id        filename
+     * @param  {string} upload_length  length of the upload
+     * @return {Promise}               the declared length
+     */
+    declareUploadLength(file_id, upload_length) {
+        return new Promise((resolve, reject) => {
+            if (!file_id) {
+                return reject(ERRORS.FILE_NOT_FOUND);
+            }
+
+            return resolve(upload_length);
+        });
+    }
+
+    /**
+     * Called in POST requests creating the final upload of a concatenation.
+     * This method should write the partial uploads, in order, to the
+     * final upload which was just created.
+     *
+     * http://tus.io/protocols/resumable-upload.html#concatenation
+     *
+     * @param  {string} file_id      name of the final upload
+     * @param  {Array}  partial_ids  names of the finished partial uploads
+     * @return {Promise}             offset of the final upload
+     */
+    concatenate(file_id, partial_ids) {
+        return new Promise((resolve, reject) => {
+            if (!file_id) {
+                return reject(ERRORS.FILE_NOT_FOUND);
+            }
+
+            this.emit(EVENTS.EVENT_UPLOAD_COMPLETE, { file: null });
+            return resolve(0);
+        });
+    }
+
+    /**
+     * Called in DELETE requests. This method should remove the upload
+     * and any data associated with it, implementing the termination
+     * extension.
+     *
+     * http://tus.io/protocols/resumable-upload.html#termination
+     *
+     * @param  {string} file_id  filename
+     * @return {Promise}
+     */
+    remove(file_id) {
+        return new Promise((resolve, reject) => {
+            if (!file_id) {
+                return reject(ERRORS.FILE_NOT_FOUND);
+            }
+
+            return resolve();
+        });
+    }
+
+    /**
+     * Remove all unfinished uploads that have expired. Called periodically
+     * by the server when an `expirationPeriodInMilliseconds` is set.
+     *
+     * @return {Promise}       number of uploads removed
+     */
+    deleteExpired() {
+        return Promise.resolve(0);
+    }
+
     /**
      * Called in HEAD requests. This method should return the bytes
      * writen to the DataStore, for the client to know where to resume
@@ -26,7 +26,10 @@ class FileStore extends DataStore {
 
         this.directory = options.directory || options.path.replace(/^\//, '');
 
-        this.extensions = ['creation', 'creation-defer-length'];
+        this.extensions = ['creation', 'creation-with-upload', 'creation-defer-length', 'termination', 'checksum', 'concatenation'];
+        if (this.expirationPeriodInMilliseconds) {
+            this._extensions.push('expiration');
+        }
         this.configstore = new Configstore(`${pkg.name}-${pkg.version}`);
         this._checkOrCreateDirectory();
     }
@@ -54,6 +57,7 @@ class FileStore extends DataStore {
             const upload_length = req.headers['upload-length'];
             const upload_defer_length = req.headers['upload-defer-length'];
             const upload_metadata = req.headers['upload-metadata'];
+            const upload_concat = req.headers['upload-concat'];
 
             if (upload_length === undefined && upload_defer_length === undefined) {
                 return reject(ERRORS.INVALID_LENGTH);
@@ -68,7 +72,7 @@ class FileStore extends DataStore {
                 return reject(ERRORS.FILE_WRITE_ERROR);
             }
 
-            const file = new File(file_id, upload_length, upload_defer_length, upload_metadata);
+            const file = new File(file_id, upload_length, upload_defer_length, upload_metadata, upload_concat);
 
             return fs.open(`${this.directory}/${file.id}`, 'w', (err, fd) => {
                 if (err) {
@@ -97,9 +101,10 @@ class FileStore extends DataStore {
      * @param  {object} req http.incomingMessage
      * @param  {string} file_id   Name of file
      * @param  {integer} offset     starting offset
+     * @param  {Checksum} [checksum] checksum the written bytes must match
      * @return {Promise}
      */
-    write(req, file_id, offset) {
+    write(req, file_id, offset, checksum) {
         return new Promise((resolve, reject) => {
             const path = `${this.directory}/${file_id}`;
             const options = {
@@ -112,6 +117,9 @@ class FileStore extends DataStore {
             let new_offset = 0;
             req.on('data', (buffer) => {
                 new_offset += buffer.length;
+                if (checksum) {
+                    checksum.update(buffer);
+                }
             });
 
             stream.on('error', (e) => {
@@ -121,19 +129,158 @@ class FileStore extends DataStore {
 
             return req.pipe(stream).on('finish', () => {
                 log(`[FileStore] write: ${new_offset} bytes written to ${path}`);
+
+                if (checksum && !checksum.matches()) {
+                    log(`[FileStore] write: ${checksum.algorithm} checksum mismatch, truncating ${path} to ${offset} bytes`);
+                    return fs.truncate(path, offset, (error) => {
+                        if (error) {
+                            log('[FileStore] write: Error', error);
+                            return reject(ERRORS.FILE_WRITE_ERROR);
+                        }
+
+                        return reject(ERRORS.CHECKSUM_MISMATCH);
+                    });
+                }
+
                 offset += new_offset;
                 log(`[FileStore] write: File is now ${offset} bytes`);
 
                 const config = this.configstore.get(file_id);
                 if (config && parseInt(config.upload_length, 10) === offset) {
-                    this.configstore.delete(file_id);
                     this.emit(EVENTS.EVENT_UPLOAD_COMPLETE, { file: config });
                 }
-                resolve(offset);
+                return resolve(offset);
             });
         });
     }
 
+    /**
+     * Read the file, or the given range of it.
+     *
+     * @param  {string} file_id  name of the file
+     * @param  {object} [range]  {start, end} offsets to read, inclusive
+     * @return {Stream}
+     */
+    read(file_id, range) {
+        return fs.createReadStream(`${this.directory}/${file_id}`, range || {});
+    }
+
+    /**
+     * Save the length of a deferred upload in its configstore record.
+     *
+     * @param  {string} file_id        name of the file
+     * @param  {string} upload_length  length of the upload
+     * @return {Promise}               the declared length
+     */
+    declareUploadLength(file_id, upload_length) {
+        return new Promise((resolve, reject) => {
+            const config = this.configstore.get(file_id);
+            if (!config) {
+                return reject(ERRORS.FILE_NOT_FOUND);
+            }
+
+            config.upload_length = upload_length;
+            delete config.upload_defer_length;
+            this.configstore.set(file_id, config);
+
+            log(`[FileStore] declareUploadLength: ${file_id} is ${upload_length} bytes`);
+            return resolve(upload_length);
+        });
+    }
+
+    /**
+     * Append the partial uploads to the final upload.
+     *
+     * @param  {string} file_id      name of the final upload
+     * @param  {Array}  partial_ids  names of the partial uploads, in order
+     * @return {Promise}             offset of the final upload
+     */
+    concatenate(file_id, partial_ids) {
+        const path = `${this.directory}/${file_id}`;
+
+        const append = (partial_id) => new Promise((resolve, reject) => {
+            const read_stream = fs.createReadStream(`${this.directory}/${partial_id}`);
+            const write_stream = fs.createWriteStream(path, { flags: 'a' });
+
+            read_stream.on('error', reject);
+            write_stream.on('error', reject);
+            write_stream.on('finish', resolve);
+
+            read_stream.pipe(write_stream);
+        });
+
+        return partial_ids.reduce((previous, partial_id) => previous.then(() => append(partial_id)), Promise.resolve())
+            .then(() => this.getOffset(file_id))
+            .then((stats) => {
+                log(`[FileStore] concatenate: ${partial_ids.length} partial uploads written to ${path}`);
+                this.emit(EVENTS.EVENT_UPLOAD_COMPLETE, { file: this.configstore.get(file_id) });
+                return stats.size;
+            })
+            .catch((error) => {
+                log('[FileStore] concatenate: Error', error);
+                throw ERRORS.FILE_WRITE_ERROR;
+            });
+    }
+
+    /**
+     * Delete the file and its configstore record.
+     *
+     * @param  {string} file_id name of the file
+     * @return {Promise}
+     */
+    remove(file_id) {
+        return new Promise((resolve, reject) => {
+            const file_path = `${this.directory}/${file_id}`;
+            fs.unlink(file_path, (error) => {
+                if (error && error.code === FILE_DOESNT_EXIST) {
+                    log(`[FileStore] remove: No file found at ${file_path}`);
+                    this.configstore.delete(file_id);
+                    return reject(ERRORS.FILE_NOT_FOUND);
+                }
+
+                if (error) {
+                    log('[FileStore] remove: Error', error);
+                    return reject(error);
+                }
+
+                this.configstore.delete(file_id);
+                return resolve();
+            });
+        });
+    }
+
+    /**
+     * Remove the unfinished uploads which have expired.
+     *
+     * @return {Promise}          number of uploads removed
+     */
+    deleteExpired() {
+        const now = new Date();
+        const configs = this.configstore.all;
+
+        return Promise.all(Object.keys(configs).map((file_id) => {
+            const expiration = this.getExpiration(configs[file_id]);
+            if (!expiration || expiration > now) {
+                return false;
+            }
+
+            return this.getOffset(file_id)
+                .then((stats) => {
+                    if (stats.size === parseInt(stats.upload_length, 10)) {
+                        return false;
+                    }
+
+                    log(`[FileStore] deleteExpired: ${file_id} expired at ${expiration.toUTCString()}`);
+                    return this.remove(file_id).then(() => true);
+                })
+                .catch((error) => {
+                    log(`[FileStore] deleteExpired: could not remove ${file_id}`, error);
+                    return false;
+                });
+        }))
+            .then((removed) => removed.filter(Boolean).length);
+    }
+
     /**
      * Return file stats, if they exits
      *
@@ -2,6 +2,7 @@
 
 const DataStore = require('./DataStore');
 const File = require('../models/File');
+const ResumableSession = require('../models/ResumableSession');
 const { Storage } = require('@google-cloud/storage');
 const stream = require('stream');
 const ERRORS = require('../constants').ERRORS;
@@ -13,9 +14,27 @@ const DEFAULT_CONFIG = {
 const debug = require('debug');
 const log = debug('tus-node-server:stores:gcsstore');
 
+// GCS composes at most 32 objects at once
+const MAX_COMPOSE_SOURCES = 32;
+
+const UPLOAD_MODES = ['resumable', 'compose'];
+
 /**
  * @fileOverview
- * Store using local filesystem.
+ * Store using Google Cloud Storage.
+ *
+ * Each upload is backed by a GCS resumable upload session. Its URI is kept,
+ * with the upload info, in the metadata of an empty GCS Object named after
+ * the upload, which the session replaces with the uploaded bytes once
+ * complete. PATCH requests are appended to the session, and the offset is
+ * the number of bytes the session committed. GCS only commits multiples of
+ * 256KiB until the last bytes of the upload, so a PATCH request may end
+ * with bytes which the client has to send again.
+ *
+ * With the `compose` upload mode, each PATCH request is written to its own
+ * GCS Object named `${file_id}_part_${n}` instead, and the offset is the sum
+ * of their sizes. Once complete, the parts are composed into the GCS Object
+ * of the upload and removed.
  *
  * @author Ben Stahl <bhstahl@gmail.com>
  */
@@ -23,43 +42,103 @@ const log = debug('tus-node-server:stores:gcsstore');
 class GCSDataStore extends DataStore {
     constructor(options) {
         super(options);
-        this.extensions = ['creation', 'creation-defer-length'];
+        this.extensions = ['creation', 'creation-with-upload', 'creation-defer-length', 'termination', 'concatenation'];
+        if (this.expirationPeriodInMilliseconds) {
+            this._extensions.push('expiration');
+        }
 
         if (!options.bucket) {
             throw new Error('GCSDataStore must have a bucket');
         }
         this.bucket_name = options.bucket;
+
+        this.upload_mode = options.uploadMode || 'resumable';
+        if (!UPLOAD_MODES.includes(this.upload_mode)) {
+            throw new Error(`GCSDataStore uploadMode must be one of ${UPLOAD_MODES.join(', ')}`);
+        }
+
+        // Application Default Credentials are used without
+        // a keyFilename or credentials
         this.gcs = new Storage({
             projectId: options.projectId,
             keyFilename: options.keyFilename,
+            credentials: options.credentials,
         });
         this.bucket = this._getBucket();
 
+        // Bucket check of `ready`, once started
+        this._ready = null;
+
         this.authConfig = Object.assign(DEFAULT_CONFIG, {
             keyFilename: options.keyFilename,
         });
     }
 
     /**
-     * Check the bucket exists in GCS.
+     * Get the bucket, which `ready` checks.
      *
-     * @return {[type]} [description]
+     * @return {Bucket}
      */
     _getBucket() {
-        const bucket = this.gcs.bucket(this.bucket_name);
-        bucket.exists((error, exists) => {
-            if (error) {
-                log(error);
-                throw new Error(`[GCSDataStore] _getBucket: ${error.message}`);
-            }
+        return this.gcs.bucket(this.bucket_name);
+    }
 
-            if (!exists) {
-                throw new Error(`[GCSDataStore] _getBucket: ${this.bucket_name} bucket does not exist`);
-            }
+    /**
+     * Check the bucket exists in GCS, which also checks the credentials.
+     * A failed check is attempted again on the next call.
+     *
+     * @return {Promise}
+     */
+    ready() {
+        if (!this._ready) {
+            this._ready = this.bucket.exists()
+                .then(([exists]) => {
+                    if (!exists) {
+                        throw new Error(`[GCSDataStore] ready: ${this.bucket_name} bucket does not exist`);
+                    }
 
-        });
+                    return undefined;
+                })
+                .catch((error) => {
+                    log('[GCSDataStore] ready', error);
+                    this._ready = null;
+                    throw error;
+                });
+        }
 
-        return bucket;
+        return this._ready;
+    }
+
+    /**
+     * Custom metadata of the GCS Object holding the upload info.
+     *
+     * @param  {object} data    File or the result of getOffset
+     * @return {object}
+     */
+    _uploadMetadata(data) {
+        return {
+            upload_length: data.upload_length,
+            tus_version: TUS_RESUMABLE,
+            upload_metadata: data.upload_metadata,
+            upload_defer_length: data.upload_defer_length,
+            creation_date: data.creation_date,
+            upload_concat: data.upload_concat,
+        };
+    }
+
+    /**
+     * Custom metadata of the GCS Object of a complete upload. The marker
+     * tells later PATCH requests that the upload was already completed.
+     *
+     * @param  {object} data    upload info
+     * @return {object}
+     */
+    _completeMetadata(data) {
+        return Object.assign(this._uploadMetadata(data), {
+            // GCS only removes custom metadata set to null
+            upload_defer_length: null,
+            upload_complete: 'true',
+        });
     }
 
     /**
@@ -74,6 +153,7 @@ class GCSDataStore extends DataStore {
             const upload_length = req.headers['upload-length'];
             const upload_defer_length = req.headers['upload-defer-length'];
             const upload_metadata = req.headers['upload-metadata'];
+            const upload_concat = req.headers['upload-concat'];
 
             if (upload_length === undefined && upload_defer_length === undefined) {
                 reject(ERRORS.INVALID_LENGTH);
@@ -90,132 +170,521 @@ class GCSDataStore extends DataStore {
                 return;
             }
 
-            const file = new File(file_id, upload_length, upload_defer_length, upload_metadata);
+            const file = new File(file_id, upload_length, upload_defer_length, upload_metadata, upload_concat);
             const gcs_file = this.bucket.file(file.id);
-            const options = {
-                metadata: {
-                    metadata: {
-                        upload_length: file.upload_length,
-                        tus_version: TUS_RESUMABLE,
-                        upload_metadata,
-                        upload_defer_length,
-                    },
-                },
-            };
-
-            const fake_stream = new stream.PassThrough();
-            fake_stream.end();
-            fake_stream.pipe(gcs_file.createWriteStream(options))
-                .on('error', reject)
-                .on('finish', () => {
-                    this.emit(EVENTS.EVENT_FILE_CREATED, { file });
-                    resolve(file);
-                });
+
+            // Parts are written to their own objects in compose mode
+            let session = Promise.resolve([]);
+            if (this.upload_mode !== 'compose') {
+                session = gcs_file.createResumableUpload({ metadata: { metadata: this._uploadMetadata(file) } });
+            }
+
+            session
+                .then(([resumable_uri]) => {
+                    const options = {
+                        resumable: false,
+                        metadata: {
+                            metadata: Object.assign(this._uploadMetadata(file), { resumable_uri }),
+                        },
+                    };
+
+                    const fake_stream = new stream.PassThrough();
+                    fake_stream.end();
+                    return fake_stream.pipe(gcs_file.createWriteStream(options))
+                        .on('error', reject)
+                        .on('finish', () => {
+                            this.emit(EVENTS.EVENT_FILE_CREATED, { file });
+                            resolve(file);
+                        });
+                })
+                .catch(reject);
         });
     }
 
     /**
-     * Get the file metatata from the object in GCS, then upload a new version
-     * passing through the metadata to the new version.
+     * Append the request to the resumable upload session of the upload.
+     * The upload is complete once the session has all its bytes, which
+     * replaces the empty GCS Object with the uploaded one.
      *
      * @param  {object} req         http.incomingMessage
      * @param  {string} file_id     Name of file
-     * @param  {integer} offset     starting offset
-     * @return {Promise}
+     * @return {Promise}            number of bytes committed by the session
      */
-    write(req, file_id, offset) {
-        // GCS Doesn't persist metadata within versions,
-        // get that metadata first
-        return this.getOffset(file_id)
-            .then((data) => {
-                return new Promise((resolve, reject) => {
-                    const file = this.bucket.file(file_id);
+    write(req, file_id) {
+        if (this.upload_mode === 'compose') {
+            return this._writePart(req, file_id);
+        }
 
-                    const options = {
-                        offset,
-                        metadata: {
-                            metadata: {
-                                upload_length: data.upload_length,
-                                tus_version: TUS_RESUMABLE,
-                                upload_metadata: data.upload_metadata,
-                                upload_defer_length: data.upload_defer_length,
-                            },
-                        },
-                    };
+        return this._getSession(file_id)
+            .then(({ data, resumable_uri }) => {
+                // The session is gone once the upload is complete
+                if (!resumable_uri && data.size === data.upload_length) {
+                    log(`[GCSDataStore] write: ${file_id} is already complete`);
+                    return data.size;
+                }
 
-                    const write_stream = file.createWriteStream(options);
-                    if (!write_stream) {
-                        return reject(ERRORS.FILE_WRITE_ERROR);
-                    }
+                // Uploads created before sessions were used cannot be resumed
+                if (!resumable_uri) {
+                    log(`[GCSDataStore] write: ${file_id} has no resumable upload session`);
+                    throw ERRORS.FILE_WRITE_ERROR;
+                }
 
-                    let new_offset = 0;
-                    req.on('data', (buffer) => {
-                        new_offset += buffer.length;
-                    });
+                const upload_length = data.upload_length;
+                const session = new ResumableSession(resumable_uri);
 
-                    write_stream.on('finish', () => {
-                        log(`${new_offset} bytes written`);
+                // A deferred length declared once all bytes were sent
+                if (upload_length === data.size) {
+                    return session.finish(upload_length)
+                        .then((status) => this._finishWrite(file_id, data, status));
+                }
 
-                        if (data.upload_length === new_offset) {
-                            this.emit(EVENTS.EVENT_UPLOAD_COMPLETE, { file });
+                return ResumableSession.hasData(req)
+                    .then((has_data) => {
+                        if (!has_data) {
+                            return { offset: data.size, complete: false };
                         }
 
-                        resolve(new_offset);
-                    });
+                        return session.append(req, data.size, upload_length);
+                    })
+                    .then((status) => this._finishWrite(file_id, data, status));
+            })
+            .catch((error) => {
+                log('[GCSDataStore] write', error);
+                throw error.status_code ? error : ERRORS.FILE_WRITE_ERROR;
+            });
+    }
+
+    /**
+     * Restore the upload info on the GCS Object of a completed session,
+     * which only has the metadata the session was created with.
+     *
+     * @param  {string} file_id  name of the file
+     * @param  {object} data     upload info
+     * @param  {object} status   `{ offset, complete }` of the session
+     * @return {Promise}         new offset of the upload
+     */
+    _finishWrite(file_id, data, status) {
+        log(`[GCSDataStore] write: ${file_id} has ${status.offset} bytes`);
+        if (!status.complete) {
+            return Promise.resolve(status.offset);
+        }
 
-                    write_stream.on('error', (e) => {
-                        log(e);
-                        reject(ERRORS.FILE_WRITE_ERROR);
+        return this.bucket.file(file_id)
+            .setMetadata({ metadata: this._completeMetadata(data) })
+            .then(() => {
+                this._uploadComplete(file_id, data);
+                return status.offset;
+            });
+    }
+
+    /**
+     * Emit the completion of an upload, with the `gs://` URI of its
+     * GCS Object as location.
+     *
+     * @param  {string} file_id  name of the file
+     * @param  {object} data     upload info
+     */
+    _uploadComplete(file_id, data) {
+        log(`[GCSDataStore] ${file_id} is complete`);
+        this.emit(EVENTS.EVENT_UPLOAD_COMPLETE, {
+            file: Object.assign({}, data, {
+                id: file_id,
+                size: parseInt(data.upload_length, 10),
+                location: `gs://${this.bucket_name}/${file_id}`,
+            }),
+        });
+    }
+
+    /**
+     * List the part objects of an upload in compose mode.
+     *
+     * @param  {string} file_id  name of the file
+     * @return {Promise<Array>}  GCS Files of the parts, in order
+     */
+    _getParts(file_id) {
+        const prefix = `${file_id}_part_`;
+        const number = (part) => parseInt(part.name.slice(prefix.length), 10);
+
+        return this.bucket.getFiles({ prefix })
+            .then(([files]) => files
+                .filter((file) => /^\d+$/.test(file.name.slice(prefix.length)))
+                .sort((a, b) => number(a) - number(b)));
+    }
+
+    /**
+     * Write the request to a new part object, composing the parts
+     * into the GCS Object of the upload once it is complete.
+     *
+     * @param  {object} req         http.incomingMessage
+     * @param  {string} file_id     Name of file
+     * @return {Promise}            new offset of the upload
+     */
+    _writePart(req, file_id) {
+        return Promise
+            .all([this._getMetadata(file_id), this._getParts(file_id)])
+            .then(([metadata, parts]) => {
+                const data = this._fileData(metadata);
+                data.size = data.size || this._partsSize(parts);
+
+                // Completion was already emitted
+                if (metadata.metadata && metadata.metadata.upload_complete) {
+                    log(`[GCSDataStore] write: ${file_id} is already complete`);
+                    return data.size;
+                }
+
+                // A deferred length declared once all bytes were sent
+                if (data.size === data.upload_length) {
+                    return this._composeParts(file_id, data, parts);
+                }
+
+                return ResumableSession.hasData(req)
+                    .then((has_data) => {
+                        if (!has_data) {
+                            return data.size;
+                        }
+
+                        const last = parts.length ? parseInt(parts[parts.length - 1].name.slice(`${file_id}_part_`.length), 10) : 0;
+                        const part = this.bucket.file(`${file_id}_part_${last + 1}`);
+
+                        return new Promise((resolve, reject) => {
+                            let written = 0;
+                            req.on('data', (buffer) => {
+                                written += buffer.length;
+                            });
+
+                            req.pipe(part.createWriteStream({ resumable: false }))
+                                .on('error', reject)
+                                .on('finish', () => resolve(written));
+                        })
+                            .then((written) => {
+                                log(`[GCSDataStore] write: ${written} bytes written to ${part.name}`);
+                                data.size += written;
+
+                                if (data.size === data.upload_length) {
+                                    return this._composeParts(file_id, data, parts.concat(part));
+                                }
+
+                                return data.size;
+                            });
                     });
+            })
+            .catch((error) => {
+                log('[GCSDataStore] write', error);
+                throw error.status_code ? error : ERRORS.FILE_WRITE_ERROR;
+            });
+    }
+
+    /**
+     * Total size of the part objects.
+     *
+     * @param  {Array} parts  GCS Files of the parts
+     * @return {number}
+     */
+    _partsSize(parts) {
+        return parts.reduce((size, part) => size + parseInt(part.metadata.size, 10), 0);
+    }
 
-                    return req.pipe(write_stream);
+    /**
+     * Compose the part objects into the GCS Object of the upload,
+     * then remove them.
+     *
+     * @param  {string} file_id  name of the file
+     * @param  {object} data     upload info
+     * @param  {Array}  parts    GCS Files of the parts, in order
+     * @return {Promise}         length of the upload
+     */
+    _composeParts(file_id, data, parts) {
+        const file = this.bucket.file(file_id);
+
+        // Without any part, the empty GCS Object is the upload
+        if (parts.length === 0) {
+            return file.setMetadata({ metadata: this._completeMetadata(data) })
+                .then(() => {
+                    this._uploadComplete(file_id, data);
+                    return data.upload_length;
                 });
+        }
+
+        return this._compose(parts, file)
+            .then((intermediates) => file
+                .setMetadata({ metadata: this._completeMetadata(data) })
+                .then(() => Promise.all(parts.concat(intermediates).map((part) => part.delete()))))
+            .then(() => {
+                log(`[GCSDataStore] ${parts.length} parts composed into ${file_id}`);
+                this._uploadComplete(file_id, data);
+                return data.upload_length;
             });
     }
 
     /**
-     * Get file metadata from the GCS Object.
+     * Compose the sources into the destination. Beyond 32 sources, batches
+     * of them are composed into intermediate objects first, and so on.
+     * Composing replaces the destination, custom metadata included.
+     *
+     * @param  {Array}   sources      GCS Files, in order
+     * @param  {object}  destination  GCS File
+     * @param  {number}  [level]      depth of the intermediate objects
+     * @return {Promise<Array>}       intermediate GCS Files, to be removed
+     */
+    _compose(sources, destination, level = 0) {
+        if (sources.length <= MAX_COMPOSE_SOURCES) {
+            return this.bucket.combine(sources, destination).then(() => []);
+        }
+
+        const batches = [];
+        for (let index = 0; index < sources.length; index += MAX_COMPOSE_SOURCES) {
+            batches.push(sources.slice(index, index + MAX_COMPOSE_SOURCES));
+        }
+
+        const intermediates = batches.map((batch, index) => this.bucket.file(`${destination.name}_compose_${level}_${index}`));
+        return Promise
+            .all(batches.map((batch, index) => this.bucket.combine(batch, intermediates[index])))
+            .then(() => this._compose(intermediates, destination, level + 1))
+            .then((deeper) => intermediates.concat(deeper));
+    }
+
+    /**
+     * Read the GCS Object, or the given range of it.
+     *
+     * @param  {string} file_id  name of the file
+     * @param  {object} [range]  {start, end} offsets to read, inclusive
+     * @return {Stream}
+     */
+    read(file_id, range) {
+        return this.bucket.file(file_id).createReadStream(range || {});
+    }
+
+    /**
+     * Save the length of a deferred upload in the GCS Object metadata.
+     *
+     * @param  {string} file_id        name of the file
+     * @param  {string} upload_length  length of the upload
+     * @return {Promise}               the declared length
+     */
+    declareUploadLength(file_id, upload_length) {
+        return this.getOffset(file_id)
+            .then((data) => {
+                data.upload_length = upload_length;
+                delete data.upload_defer_length;
+
+                return this.bucket.file(file_id).setMetadata({
+                    metadata: Object.assign(this._uploadMetadata(data), {
+                        // GCS only removes custom metadata set to null
+                        upload_defer_length: null,
+                    }),
+                });
+            })
+            .then(() => {
+                log(`[GCSDataStore] declareUploadLength: ${file_id} is ${upload_length} bytes`);
+                return upload_length;
+            });
+    }
+
+    /**
+     * Compose the partial uploads into the GCS Object of the final upload.
+     *
+     * @param  {string} file_id      name of the final upload
+     * @param  {Array}  partial_ids  names of the partial uploads, in order
+     * @return {Promise}             offset of the final upload
+     */
+    concatenate(file_id, partial_ids) {
+        return this.getOffset(file_id)
+            .then((data) => {
+                const file = this.bucket.file(file_id);
+                const sources = partial_ids.map((partial_id) => this.bucket.file(partial_id));
+
+                // Composing replaces the object, so the metadata is set again
+                return this._compose(sources, file)
+                    .then((intermediates) => file
+                        .setMetadata({ metadata: this._completeMetadata(data) })
+                        .then(() => Promise.all(intermediates.map((intermediate) => intermediate.delete()))))
+                    .then(() => {
+                        log(`[GCSDataStore] concatenate: ${partial_ids.length} partial uploads composed into ${file_id}`);
+                        this._uploadComplete(file_id, data);
+                        return parseInt(data.upload_length, 10);
+                    });
+            })
+            .catch((error) => {
+                log('[GCSDataStore] concatenate', error);
+                throw ERRORS.FILE_WRITE_ERROR;
+            });
+    }
+
+    /**
+     * Delete the GCS Object holding the upload, and its parts in compose mode.
      *
      * @param  {string} file_id     name of the file
-     * @return {object}
+     * @return {Promise}
      */
-    getOffset(file_id) {
+    remove(file_id) {
+        const parts = this.upload_mode === 'compose' ? this._getParts(file_id) : Promise.resolve([]);
+
+        return parts
+            .then((files) => Promise.all(files.map((part) => part.delete())))
+            .then(() => this._deleteObject(file_id));
+    }
+
+    /**
+     * Delete a GCS Object.
+     *
+     * @param  {string} file_id     name of the file
+     * @return {Promise}
+     */
+    _deleteObject(file_id) {
         return new Promise((resolve, reject) => {
             const file = this.bucket.file(file_id);
-            file.getMetadata((error, metadata, apiResponse) => {
+            file.delete((error) => {
                 if (error && error.code === 404) {
                     return reject(ERRORS.FILE_NOT_FOUND);
                 }
 
                 if (error) {
-                    log('[GCSDataStore] getFileMetadata', error);
+                    log('[GCSDataStore] remove', error);
                     return reject(error);
                 }
 
-                const data = {
-                    size: parseInt(metadata.size, 10),
-                };
+                return resolve();
+            });
+        });
+    }
+
+    /**
+     * Delete the GCS Objects of unfinished uploads which have expired.
+     *
+     * @return {Promise}            number of uploads removed
+     */
+    deleteExpired() {
+        if (!this.expirationPeriodInMilliseconds) {
+            return Promise.resolve(0);
+        }
 
-                if (!('metadata' in metadata)) {
-                    return resolve(data);
-                }
+        const now = new Date();
+        return this.bucket.getFiles()
+            .then(([files]) => {
+                const expired = files.filter((file) => {
+                    const metadata = file.metadata.metadata || {};
+                    const expiration = this.getExpiration(metadata);
 
-                if (metadata.metadata.upload_length) {
-                    data.upload_length = parseInt(metadata.metadata.upload_length, 10);
-                }
+                    return expiration && expiration < now &&
+                        parseInt(file.metadata.size, 10) !== parseInt(metadata.upload_length, 10);
+                });
+
+                return Promise.all(expired.map((file) => {
+                    log(`[GCSDataStore] deleteExpired: ${file.name}`);
+                    return this.remove(file.name);
+                }))
+                    .then(() => expired.length);
+            });
+    }
 
-                if (metadata.metadata.upload_defer_length) {
-                    data.upload_defer_length = parseInt(metadata.metadata.upload_defer_length, 10);
+    /**
+     * Get the metadata of the GCS Object holding the upload.
+     *
+     * @param  {string} file_id     name of the file
+     * @return {Promise}            GCS Object metadata
+     */
+    _getMetadata(file_id) {
+        return new Promise((resolve, reject) => {
+            const file = this.bucket.file(file_id);
+            file.getMetadata((error, metadata) => {
+                if (error && error.code === 404) {
+                    return reject(ERRORS.FILE_NOT_FOUND);
                 }
 
-                if (metadata.metadata.upload_metadata) {
-                    data.upload_metadata = metadata.metadata.upload_metadata;
+                if (error) {
+                    log('[GCSDataStore] getFileMetadata', error);
+                    return reject(error);
                 }
 
-                return resolve(data);
+                return resolve(metadata);
             });
         });
     }
+
+    /**
+     * Upload info kept in the custom metadata of the GCS Object.
+     *
+     * @param  {object} metadata    GCS Object metadata
+     * @return {object}
+     */
+    _fileData(metadata) {
+        const data = {
+            size: parseInt(metadata.size, 10),
+        };
+
+        if (!('metadata' in metadata)) {
+            return data;
+        }
+
+        if (metadata.metadata.upload_length) {
+            data.upload_length = parseInt(metadata.metadata.upload_length, 10);
+        }
+
+        if (metadata.metadata.upload_defer_length) {
+            data.upload_defer_length = parseInt(metadata.metadata.upload_defer_length, 10);
+        }
+
+        if (metadata.metadata.upload_metadata) {
+            data.upload_metadata = metadata.metadata.upload_metadata;
+        }
+
+        if (metadata.metadata.creation_date) {
+            data.creation_date = metadata.metadata.creation_date;
+        }
+
+        if (metadata.metadata.upload_concat) {
+            data.upload_concat = metadata.metadata.upload_concat;
+        }
+
+        return data;
+    }
+
+    /**
+     * Get the upload info, with the bytes committed by its session as size.
+     *
+     * @param  {string} file_id     name of the file
+     * @return {Promise}            `{ data, resumable_uri }`, without
+     *                              `resumable_uri` once the upload is complete
+     */
+    _getSession(file_id) {
+        return this._getMetadata(file_id)
+            .then((metadata) => {
+                const data = this._fileData(metadata);
+                const resumable_uri = metadata.metadata && metadata.metadata.resumable_uri;
+                if (!resumable_uri) {
+                    return { data };
+                }
+
+                return new ResumableSession(resumable_uri).status(data.upload_length)
+                    .then((session) => {
+                        data.size = session.complete ? data.upload_length : session.offset;
+                        return { data, resumable_uri };
+                    });
+            });
+    }
+
+    /**
+     * Get file metadata from the GCS Object.
+     *
+     * @param  {string} file_id     name of the file
+     * @return {object}
+     */
+    getOffset(file_id) {
+        if (this.upload_mode === 'compose') {
+            return Promise
+                .all([this._getMetadata(file_id), this._getParts(file_id)])
+                .then(([metadata, parts]) => {
+                    const data = this._fileData(metadata);
+
+                    // The GCS Object is empty until the parts are composed
+                    data.size = data.size || this._partsSize(parts);
+                    return data;
+                });
+        }
+
+        return this._getSession(file_id)
+            .then(({ data }) => data);
+    }
 }
 
 module.exports = GCSDataStore;
@@ -1,261 +1,429 @@
 'use strict';
 
 const fs = require('fs');
-const {google} = require('googleapis');
-const {JWT} = require('google-auth-library');
-const pkg = require('../../package.json');
+const { PassThrough } = require('stream');
+const { google } = require('googleapis');
+const { JWT } = require('google-auth-library');
 const Configstore = require('configstore');
-const FileStore = require('./FileStore');
+const pkg = require('../../package.json');
+const DataStore = require('./DataStore');
+const File = require('../models/File');
+const Metadata = require('../models/Metadata');
+const ResumableSession = require('../models/ResumableSession');
 const ERRORS = require('../constants').ERRORS;
 const EVENTS = require('../constants').EVENTS;
 const debug = require('debug');
 const log = debug('tus-node-server:stores:gshareddrivestore');
 
-const drive = google.drive('v3');
-
-const File = require('../models/File');
 const DEFAULT_CONFIG = {
     scopes: [
-        'https://www.googleapis.com/auth/drive', 
-        'https://www.googleapis.com/auth/admin.directory.group'
+        'https://www.googleapis.com/auth/drive',
+        'https://www.googleapis.com/auth/admin.directory.group',
     ],
-    drive_options: {
-        corpora: 'drive',
-        supportsAllDrives: true, // Mandatory for shared drive
-        includeItemsFromAllDrives: true, // Mandatory for shared drive
-    }
 };
 
+// Endpoint starting the resumable upload sessions of the Drive API
+const UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files';
 
 /**
  * @fileOverview
  * Store using Google Shared Drive filesystem.
  *
+ * Each upload is backed by a Drive resumable upload session, started when
+ * the upload is created. PATCH requests are forwarded to the session as
+ * they are received, nothing is written to the local disk. The session URI
+ * and the number of bytes it committed are kept in a configstore record.
+ * Drive only commits multiples of 256KiB until the last bytes of the
+ * upload, so a PATCH request may end with bytes which the client has to
+ * send again. Once complete, the record keeps the id of the Drive file.
+ *
  * @author Francesca Motisi <fsca.motisi@gmail.com>
  */
 
-class GSharedDriveDataStore extends FileStore {
+class GSharedDriveDataStore extends DataStore {
     constructor(options) {
         super(options);
-        this.extensions = ['creation', 'creation-defer-length'];
+        this.extensions = ['creation', 'creation-with-upload', 'creation-defer-length', 'termination'];
+        if (this.expirationPeriodInMilliseconds) {
+            this._extensions.push('expiration');
+        }
 
         if (!options.drive_id) {
             throw new Error('GSharedDriveDataStore must have a drive id');
         }
-
         this.drive_id = options.drive_id;
 
         if (!options.keyFilename) {
-            throw new Error('GSharedDriveDataStore must have a keyFilename')
+            throw new Error('GSharedDriveDataStore must have a keyFilename');
         }
 
-        this.configstore = new Configstore(`${pkg.name}-${pkg.version}`);
+        // Kept apart from the records of the FileStore
+        this.configstore = new Configstore(`${pkg.name}-${pkg.version}-gshareddrive`);
 
         this.auth = this._loadSecret(options.keyFilename, options.subject);
+        this.drive = this._getDrive();
 
-        // Enable global authentication on googleapis
-        google.options({
-            auth: this.auth
-        })
-
-        this._checkDrive();
+        // Shared Drive check of `ready`, once started
+        this._ready = null;
     }
 
     /**
      * Load credentials file
-     * 
-     * @param {string} path Path to file
-     * @param {string} subject Subject to impersonate
-     * 
-     * @returns JWT Auth
+     *
+     * @param  {string} path     Path to file
+     * @param  {string} subject  Subject to impersonate
+     * @return {JWT}
      */
     _loadSecret(path, subject) {
-        // Load client secrets from a local file.
-        const content = fs.readFileSync(path);
-
-        if ( !content ){
-            throw new Error('Error loading client secret file')
-        }
-        
-        return this._authorize(JSON.parse(content), subject);
+        return this._authorize(JSON.parse(fs.readFileSync(path)), subject);
     }
 
     /**
      * Authenticate with service account or credentials.json
-     * 
-     * @param {[type]} credentials Json parsed credentials file
-     * @param {string} subject Subject to impersonate
-     * 
-     * @returns JWT Auth
+     *
+     * @param  {object} credentials  Json parsed credentials file
+     * @param  {string} subject      Subject to impersonate
+     * @return {JWT}
      */
     _authorize(credentials, subject) {
-        let jwtOptions = {
+        return new JWT({
             email: credentials.client_email,
             key: credentials.private_key,
             keyId: credentials.private_key_id,
-            scopes: DEFAULT_CONFIG.scopes
-        };
-
-        if(subject) {
-            jwtOptions = {...jwtOptions, subject}
-        }
+            scopes: DEFAULT_CONFIG.scopes,
+            subject,
+        });
+    }
 
-        return new JWT(jwtOptions);
+    /**
+     * Get the Drive API client, authenticated with the credentials.
+     *
+     * @return {object}
+     */
+    _getDrive() {
+        return google.drive({ version: 'v3', auth: this.auth });
     }
 
     /**
-     * Check if selected drive exists
+     * Check the Shared Drive exists, which also checks the credentials.
+     * A failed check is attempted again on the next call.
+     *
+     * @return {Promise}
      */
-    async _checkDrive() {
-        try {
-            const res = await drive.drives.get({
-                driveId: this.drive_id
-            });
-            log('[GSharedDriveStore] Founded Shared Drive with id ' + res.data.id + ' and name ' + res.data.name)
-        } catch(err) {
-            throw new Error(err)
+    ready() {
+        if (!this._ready) {
+            this._ready = this.drive.drives.get({ driveId: this.drive_id })
+                .then((res) => {
+                    log(`[GSharedDriveStore] ready: found Shared Drive ${res.data.name} (${res.data.id})`);
+                    return undefined;
+                })
+                .catch((error) => {
+                    log('[GSharedDriveStore] ready', error);
+                    this._ready = null;
+                    throw error;
+                });
         }
-    }
 
+        return this._ready;
+    }
 
     /**
-     * Create an empty file.
+     * Start the resumable upload session of the file in the Shared Drive.
      *
      * @param  {object} req http.incomingMessage
-     * @param  {File} file
      * @return {Promise}
      */
     create(req) {
-        return new Promise((resolve, reject) => {
-            const upload_length = req.headers['upload-length'];
-            const upload_defer_length = req.headers['upload-defer-length'];
-            const upload_metadata = req.headers['upload-metadata'];
+        const upload_length = req.headers['upload-length'];
+        const upload_defer_length = req.headers['upload-defer-length'];
+        const upload_metadata = req.headers['upload-metadata'];
 
-            if (upload_length === undefined && upload_defer_length === undefined) {
-                return reject(ERRORS.INVALID_LENGTH);
-            }
+        if (upload_length === undefined && upload_defer_length === undefined) {
+            return Promise.reject(ERRORS.INVALID_LENGTH);
+        }
 
-            let file_id;
-            try {
-                file_id = this.generateFileName(req);
-            }
-            catch (generateError) {
-                log('[FileStore] create: check your namingFunction. Error', generateError);
-                return reject(ERRORS.FILE_WRITE_ERROR);
-            }
+        let file_id;
+        try {
+            file_id = this.generateFileName(req);
+        }
+        catch (generateError) {
+            log('[GSharedDriveStore] create: check your namingFunction. Error', generateError);
+            return Promise.reject(ERRORS.FILE_WRITE_ERROR);
+        }
 
-            const file = new File(file_id, upload_length, upload_defer_length, upload_metadata);
+        const file = new File(file_id, upload_length, upload_defer_length, upload_metadata);
+        const metadata = this._parseMetadata(upload_metadata);
 
-            return fs.open(`${this.directory}/${file.id}`, 'w', (err, fd) => {
-                if (err) {
-                    log('[FileStore] create: Error', err);
-                    return reject(err);
-                }
+        const headers = {};
+        if (metadata.mimeType) {
+            headers['X-Upload-Content-Type'] = metadata.mimeType;
+        }
+        if (upload_length !== undefined) {
+            headers['X-Upload-Content-Length'] = upload_length;
+        }
+
+        return this.auth.request({
+            method: 'POST',
+            url: UPLOAD_URL,
+            params: { uploadType: 'resumable', supportsAllDrives: true },
+            headers,
+            data: {
+                name: metadata.filename || file.id,
+                mimeType: metadata.mimeType,
+                parents: [this.drive_id],
+            },
+        })
+            .then((res) => {
+                this.configstore.set(file.id, Object.assign({}, file, {
+                    resumable_uri: res.headers.location,
+                    offset: 0,
+                }));
+
+                this.emit(EVENTS.EVENT_FILE_CREATED, { file });
+                return file;
+            })
+            .catch((error) => {
+                log('[GSharedDriveStore] create: Error', error);
+                throw ERRORS.FILE_WRITE_ERROR;
+            });
+    }
+
+    /**
+     * Forward the request to the resumable upload session of the upload.
+     * The Drive file is created once the session has all its bytes.
+     *
+     * @param  {object} req         http.incomingMessage
+     * @param  {string} file_id     Name of file
+     * @return {Promise}            number of bytes committed by the session
+     */
+    write(req, file_id) {
+        const config = this.configstore.get(file_id);
+        if (!config) {
+            return Promise.reject(ERRORS.FILE_NOT_FOUND);
+        }
+
+        // Completion was already emitted
+        if (config.drive_file_id) {
+            log(`[GSharedDriveStore] write: ${file_id} is already complete`);
+            return Promise.resolve(config.offset);
+        }
+
+        const upload_length = config.upload_length === undefined ? undefined : parseInt(config.upload_length, 10);
 
-                this.configstore.set(file.id, file);
+        const session = new ResumableSession(config.resumable_uri);
 
-                return fs.close(fd, (exception) => {
-                    if (exception) {
-                        log('[FileStore] create: Error', exception);
-                        return reject(exception);
+        let written;
+        if (upload_length === config.offset) {
+            // A deferred length declared once all bytes were sent
+            written = session.finish(upload_length);
+        }
+        else {
+            written = ResumableSession.hasData(req)
+                .then((has_data) => {
+                    if (!has_data) {
+                        return { offset: config.offset, complete: false };
                     }
 
-                    this.emit(EVENTS.EVENT_FILE_CREATED, { file });
-                    return resolve(file);
+                    return session.append(req, config.offset, upload_length);
                 });
-            });
+        }
+
+        return written
+            .catch((error) => {
+                log('[GSharedDriveStore] write', error);
+                const write_error = error.status_code ? error : ERRORS.FILE_WRITE_ERROR;
+
+                // The session may have committed bytes before failing
+                return session.status(upload_length)
+                    .then((status) => this._finishWrite(file_id, status), () => null)
+                    .then(() => Promise.reject(write_error));
+            })
+            .then((status) => this._finishWrite(file_id, status));
+    }
+
+    /**
+     * Save the bytes committed by the session in the record of the upload,
+     * and the id of the Drive file once complete.
+     *
+     * @param  {string} file_id  name of the file
+     * @param  {object} status   `{ offset, complete, body }` of the session,
+     *                           whose body is the Drive file once complete
+     * @return {number}          new offset of the upload
+     */
+    _finishWrite(file_id, status) {
+        const config = this.configstore.get(file_id);
+        config.offset = status.offset;
+        log(`[GSharedDriveStore] write: ${file_id} has ${status.offset} bytes`);
+
+        if (!status.complete) {
+            this.configstore.set(file_id, config);
+            return status.offset;
+        }
+
+        const drive_file_id = JSON.parse(status.body).id;
+        config.drive_file_id = drive_file_id;
+        delete config.resumable_uri;
+        this.configstore.set(file_id, config);
+
+        log(`[GSharedDriveStore] ${file_id} is complete as Drive file ${drive_file_id}`);
+        this.emit(EVENTS.EVENT_UPLOAD_ON_GDRIVE_COMPLETE, { file: { id: drive_file_id, drive_id: this.drive_id } });
+        this.emit(EVENTS.EVENT_UPLOAD_COMPLETE, {
+            file: Object.assign(this._fileData(config), { id: drive_file_id, drive_id: this.drive_id }),
         });
+
+        return status.offset;
     }
 
     /**
-     * Write to the file, starting at the provided offset
+     * Read the Drive file of a complete upload, or the given range of it.
      *
-     * @param  {object} req http.incomingMessage
-     * @param  {string} file_id   Name of file
-     * @param  {integer} offset     starting offset
+     * @param  {string} file_id  name of the file
+     * @param  {object} [range]  {start, end} offsets to read, inclusive
+     * @return {Stream}
+     */
+    read(file_id, range) {
+        const config = this.configstore.get(file_id);
+        const headers = range ? { Range: `bytes=${range.start}-${range.end}` } : {};
+
+        // The file is requested asynchronously, the stream
+        // is returned right away to be piped to the response.
+        const stream = new PassThrough();
+        this.drive.files.get(
+            { fileId: config.drive_file_id, alt: 'media', supportsAllDrives: true },
+            { responseType: 'stream', headers }
+        )
+            .then((res) => {
+                res.data.on('error', (err) => stream.destroy(err));
+                return res.data.pipe(stream);
+            })
+            .catch((err) => stream.destroy(err));
+
+        return stream;
+    }
+
+    /**
+     * Save the length of a deferred upload in its configstore record.
+     *
+     * @param  {string} file_id        name of the file
+     * @param  {string} upload_length  length of the upload
+     * @return {Promise}               the declared length
+     */
+    declareUploadLength(file_id, upload_length) {
+        const config = this.configstore.get(file_id);
+        if (!config) {
+            return Promise.reject(ERRORS.FILE_NOT_FOUND);
+        }
+
+        config.upload_length = upload_length;
+        delete config.upload_defer_length;
+        this.configstore.set(file_id, config);
+
+        log(`[GSharedDriveStore] declareUploadLength: ${file_id} is ${upload_length} bytes`);
+        return Promise.resolve(upload_length);
+    }
+
+    /**
+     * Delete the Drive file of a complete upload, and the record of the
+     * upload. Unfinished sessions expire by themselves on Drive.
+     *
+     * @param  {string} file_id name of the file
      * @return {Promise}
      */
-    write(req, file_id, offset) {
-        return new Promise(async (resolve, reject) => {
-            const path = `${this.directory}/${file_id}`;
-            const options = {
-                flags: 'r+',
-                start: offset,
-            };
-
-            const stream = fs.createWriteStream(path, options);
-
-            let new_offset = 0;
-            req.on('data', (buffer) => {
-                new_offset += buffer.length;
-            });
+    remove(file_id) {
+        const config = this.configstore.get(file_id);
+        if (!config) {
+            return Promise.reject(ERRORS.FILE_NOT_FOUND);
+        }
 
-            stream.on('error', (e) => {
-                log('[GSharedDriveStore] write: Error', e);
-                reject(ERRORS.FILE_WRITE_ERROR);
-            });
-            const this$ = this;
-            return req.pipe(stream).on('finish', () => {
-                log(`[GSharedDriveStore] write: ${new_offset} bytes written to ${path}`);
-                offset += new_offset;
-                log(`[GSharedDriveStore] write: File is now ${offset} bytes`);
-
-                const config = this.configstore.get(file_id);
-                
-                const metadata = this._parseMetadata(config.upload_metadata);
-
-                if (config && parseInt(config.upload_length, 10) === offset) {
-
-                    drive.files.create({
-                        fields: 'id',
-                        supportsAllDrives: true,
-                        requestBody: {
-                            mimeType: metadata.mimeType,
-                            name: metadata.filename, // to set filename
-                            parents: [this$.drive_id], // to put in shared drive
-                            // properties: {
-                            //     'test': 'me'
-                            // }
-                        },
-                        media: {
-                            mimeType: metadata.mimeType,
-                            body: fs.createReadStream(path)
-                        }
-                    }, function(err, res) {
-                        if(err) {
-                            log('[GSharedDriveStore] create: Error', err);
-                            return err
-                        }
-                        fs.unlink(path, function(err) {
-                            log('[GSharedDriveStore] Unlink localfile error ', err);
-                        });
-    
-                        this$.configstore.delete(file_id);
-                        this$.emit(EVENTS.EVENT_UPLOAD_ON_GDRIVE_COMPLETE, {file: {id: res.data.id, drive_id: this$.drive_id} })
-                        this$.emit(EVENTS.EVENT_UPLOAD_COMPLETE, { file: { ...config, id: res.data.id, drive_id: this$.drive_id } });
-                    });
+        if (!config.drive_file_id) {
+            this.configstore.delete(file_id);
+            return Promise.resolve();
+        }
 
+        return this.drive.files.delete({ fileId: config.drive_file_id, supportsAllDrives: true })
+            .catch((error) => {
+                if (error.code !== 404) {
+                    log('[GSharedDriveStore] remove: Error', error);
+                    throw error;
                 }
-                resolve(offset);
-            });
-        });
+
+                log(`[GSharedDriveStore] remove: Drive file ${config.drive_file_id} was already deleted`);
+                return undefined;
+            })
+            .then(() => this.configstore.delete(file_id));
     }
 
-    _parseMetadata(metadata) {
-        const parts = metadata.split(',')
-        const meta = {};
-
-        parts.map( p => {
-            const nameValues = p.split(' ');
-            const text = Buffer.from(nameValues[1], 'base64').toString('ascii');
-            if(nameValues[0] === 'name') {
-                meta['filename'] = text;
-            } else {
-                meta[nameValues[0]] = text;
+    /**
+     * Remove the unfinished uploads which have expired.
+     *
+     * @return {Promise}          number of uploads removed
+     */
+    deleteExpired() {
+        const now = new Date();
+        const configs = this.configstore.all;
+
+        return Promise.all(Object.keys(configs).map((file_id) => {
+            const expiration = this.getExpiration(configs[file_id]);
+            if (configs[file_id].drive_file_id || !expiration || expiration > now) {
+                return false;
             }
-        })
 
-        return meta;
+            log(`[GSharedDriveStore] deleteExpired: ${file_id} expired at ${expiration.toUTCString()}`);
+            return this.remove(file_id)
+                .then(() => true)
+                .catch((error) => {
+                    log(`[GSharedDriveStore] deleteExpired: could not remove ${file_id}`, error);
+                    return false;
+                });
+        }))
+            .then((removed) => removed.filter(Boolean).length);
+    }
+
+    /**
+     * Upload info kept in the configstore record, with the bytes
+     * committed by the session as size.
+     *
+     * @param  {object} config  configstore record of the upload
+     * @return {object}
+     */
+    _fileData(config) {
+        const data = Object.assign({}, config, { size: config.offset });
+
+        // The session URI authorises writing to the upload by itself
+        delete data.resumable_uri;
+        delete data.offset;
+        return data;
+    }
+
+    /**
+     * Get the upload info from its configstore record.
+     *
+     * @param  {string} file_id name of the file
+     * @return {Promise}
+     */
+    getOffset(file_id) {
+        const config = this.configstore.get(file_id);
+        if (!config) {
+            return Promise.reject(ERRORS.FILE_NOT_FOUND);
+        }
+
+        return Promise.resolve(this._fileData(config));
+    }
+
+    /**
+     * Decode the Upload-Metadata header, `name` being an alias of `filename`.
+     *
+     * @param  {string} upload_metadata
+     * @return {object}
+     */
+    _parseMetadata(upload_metadata) {
+        const metadata = Metadata.parse(upload_metadata);
+        if (metadata.name !== undefined) {
+            metadata.filename = metadata.name;
+            delete metadata.name;
+        }
+
+        return metadata;
     }
 }
 
@@ -1,9 +1,31 @@
 'use strict';
 
 const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const PassThrough = require('stream').PassThrough;
 const File = require('../models/File');
+const StreamSplitter = require('../models/StreamSplitter');
 const DataStore = require('./DataStore');
-const aws = require('aws-sdk');
+const KvStore = require('../kvstores/KvStore');
+const MemoryKvStore = require('../kvstores/MemoryKvStore');
+const {
+    AbortMultipartUploadCommand,
+    CompleteMultipartUploadCommand,
+    CreateMultipartUploadCommand,
+    DeleteObjectCommand,
+    DeleteObjectsCommand,
+    GetObjectCommand,
+    HeadBucketCommand,
+    HeadObjectCommand,
+    ListMultipartUploadsCommand,
+    ListObjectsV2Command,
+    ListPartsCommand,
+    PutObjectCommand,
+    S3Client,
+    UploadPartCommand,
+    UploadPartCopyCommand,
+} = require('@aws-sdk/client-s3');
 const ERRORS = require('../constants').ERRORS;
 const EVENTS = require('../constants').EVENTS;
 const TUS_RESUMABLE = require('../constants').TUS_RESUMABLE;
@@ -11,14 +33,19 @@ const TUS_RESUMABLE = require('../constants').TUS_RESUMABLE;
 const debug = require('debug');
 const log = debug('tus-node-server:stores:s3store');
 
+// S3 rejects smaller parts, except for the last part of a multipart upload
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const noop = () => {};
+
+// Multipart uploads are considered abandoned after a week by default
+const DEFAULT_ORPHAN_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// Headers of S3 requests, including user metadata, only allow ASCII
+const PRINTABLE_ASCII = /^[\x20-\x7e]*$/;
+
 /**
  * TODO
- * - support smaller file sizes
- *     - if file is smaller than min_part_size, upload with `putObject`
- * - add support for `chunkSize: Infinity` (stream splitter?)
  * - improve error handling
- * - tests :)
- * - support other extensions like termination
  */
 
 // Implementation (based on https://github.com/tus/tusd/blob/master/s3store/s3store.go)
@@ -36,51 +63,130 @@ const log = debug('tus-node-server:stores:s3store');
 //
 // If meta data is associated with the upload during creation, it will be added
 // to the multipart upload and after finishing it, the meta data will be passed
-// to the final object. However, the metadata which will be attached to the
-// final object can only contain ASCII characters and every non-ASCII character
-// will be replaced by a question mark (for example, "Menü" will be "Men?").
-// However, this does not apply for the metadata returned by the `_getMetadata`
-// function since it relies on the info object for reading the metadata.
-// Therefore, HEAD responses will always contain the unchanged metadata, Base64-
-// encoded, even if it contains non-ASCII characters.
+// to the final object. S3 metadata headers only contain ASCII, so a non-ASCII
+// file name is stored as a RFC 2047 encoded-word (for example, "Menü" will be
+// "=?UTF-8?B?TWVuw7w=?="), and in the UTF-8 `filename*` of the Content-Disposition.
+// The Upload-Metadata itself is kept Base64-encoded, so HEAD responses always
+// contain the unchanged metadata, even if it contains non-ASCII characters.
 //
 // Once the upload is finished, the multipart upload is completed, resulting in
-// the entire file being stored in the bucket. The info object, containing
-// meta data is not deleted.
+// the entire file being stored in the bucket. The info object is kept, unless
+// `deleteInfoOnCompletion` is set: it is then deleted, and the completed upload
+// is described by the metadata of the final object instead.
 //
 // Considerations
 //
 // In order to support tus' principle of resumable upload, S3's Multipart-Uploads
 // are internally used.
-// For each incoming PATCH request (a call to `write`), a new part is uploaded
-// to S3.
+// Each incoming PATCH request (a call to `write`) is split into parts of
+// `partSize` bytes, which are uploaded to S3 as they are received. Since S3
+// needs to know the size of each part, they are first written to temporary
+// files prefixed with `tmpDirPrefix`. Clients may therefore send chunks of
+// any size.
+//
+// S3 rejects parts smaller than 5MB, except for the last one. A smaller chunk is
+// therefore stored as an "incomplete part" object with the suffix ".part" in its
+// key, and prepended to the next chunk. Uploads which fit in a single chunk skip
+// the multipart upload entirely and are stored with a single `putObject`.
+//
+// The deferral of uploads created with `Upload-Defer-Length` is kept in the info
+// object until their length is declared, which may happen with their last chunk
+// or afterwards. The upload is completed once its offset reaches that length.
 
 class S3Store extends DataStore {
     constructor(options) {
         super(options);
 
-        this.extensions = ['creation', 'creation-defer-length'];
+        this.extensions = ['creation', 'creation-with-upload', 'creation-defer-length', 'termination', 'concatenation'];
+        if (this.expirationPeriodInMilliseconds) {
+            this._extensions.push('expiration');
+        }
 
-        assert.ok(options.accessKeyId, '[S3Store] `accessKeyId` must be set');
-        assert.ok(options.secretAccessKey, '[S3Store] `secretAccessKey` must be set');
         assert.ok(options.bucket, '[S3Store] `bucket` must be set');
 
         this.tmp_dir_prefix = options.tmpDirPrefix || 'tus-s3-store';
         this.bucket_name = options.bucket;
         this.part_size = options.partSize || 8 * 1024 * 1024;
+        assert.ok(this.part_size >= MIN_PART_SIZE, '[S3Store] `partSize` must be at least 5MB');
+
+        // Parts of a PATCH request uploaded in parallel. Each one waits
+        // on disk, so up to this many + 2 parts are stored temporarily.
+        this.max_concurrent_part_uploads = options.maxConcurrentPartUploads || 1;
+        assert.ok(Number.isInteger(this.max_concurrent_part_uploads) && this.max_concurrent_part_uploads > 0,
+            '[S3Store] `maxConcurrentPartUploads` must be a positive integer');
+
+        // cache of the upload data, avoiding multiple http calls to s3.
+        // Servers sharing uploads can share it with an external KvStore.
+        if (options.cache && !(options.cache instanceof KvStore)) {
+            throw new Error(`${options.cache} is not a KvStore`);
+        }
+        this.cache = options.cache || new MemoryKvStore();
+
+        // Parameters of the uploaded objects, each one either a value
+        // or a function of the File and its decoded metadata.
+        this.object_options = {
+            ACL: options.acl,
+            StorageClass: options.storageClass,
+            ServerSideEncryption: options.serverSideEncryption,
+            SSEKMSKeyId: options.sseKmsKeyId,
+            Tagging: options.tagging,
+        };
+        this.key_prefix = options.keyPrefix;
+
+        // `deleteOrphans` aborts the multipart uploads older than this. The
+        // `.info` objects of completed uploads may be removed right away.
+        this.orphan_age = options.orphanAgeInMilliseconds || DEFAULT_ORPHAN_AGE;
+        assert.ok(this.orphan_age > 0, '[S3Store] `orphanAgeInMilliseconds` must be a positive number');
+        this.delete_info_on_completion = !!options.deleteInfoOnCompletion;
+
+        // A client may be given, eg. with its own middleware and retries.
+        // Otherwise the options configure one: `region`, or `endpoint` and
+        // `s3ForcePathStyle` for S3 compatible servers like MinIO. Without
+        // `accessKeyId` and `secretAccessKey` or `credentials`, credentials are
+        // resolved by the default provider chain: environment variables, shared
+        // credentials file, ECS and EC2 instance metadata.
+        if (options.s3Client && !(options.s3Client instanceof S3Client)) {
+            throw new Error(`${options.s3Client} is not an S3Client`);
+        }
+        this.client = options.s3Client || new S3Client(this._clientConfig(options));
+        this._ready = null;
 
-        // cache object to save upload data
-        // avoiding multiple http calls to s3
-        this.cache = {};
+        log('init');
+    }
 
-        delete options.partSize;
+    /**
+     * Builds the configuration of the S3Client from the store options.
+     * `s3ClientConfig` is passed as is, the other options take precedence.
+     *
+     * @param  {Object} options store options
+     * @return {Object}         S3Client configuration
+     */
+    _clientConfig(options) {
+        const config = Object.assign({}, options.s3ClientConfig);
 
-        this.client = new aws.S3(Object.assign({}, {
-            apiVersion: '2006-03-01',
-            region: 'eu-west-1',
-        }, options));
+        if (options.region) {
+            config.region = options.region;
+        }
 
-        log('init');
+        if (options.endpoint) {
+            config.endpoint = options.endpoint;
+        }
+
+        if (options.s3ForcePathStyle) {
+            config.forcePathStyle = true;
+        }
+
+        if (options.credentials) {
+            config.credentials = options.credentials;
+        }
+        else if (options.accessKeyId && options.secretAccessKey) {
+            config.credentials = {
+                accessKeyId: options.accessKeyId,
+                secretAccessKey: options.secretAccessKey,
+            };
+        }
+
+        return config;
     }
 
     /**
@@ -89,8 +195,7 @@ class S3Store extends DataStore {
      * @return {Promise}
      */
     _bucketExists() {
-        return this.client.headBucket({ Bucket: this.bucket_name })
-            .promise()
+        return this.client.send(new HeadBucketCommand({ Bucket: this.bucket_name }))
             .then((data) => {
                 if (!data) {
                     throw new Error(`bucket "${this.bucket_name}" does not exist`);
@@ -101,7 +206,7 @@ class S3Store extends DataStore {
                 return data;
             })
             .catch((err) => {
-                if (err.statusCode === 404) {
+                if (err.$metadata && err.$metadata.httpStatusCode === 404) {
                     throw new Error(`[S3Store] bucket "${this.bucket_name}" does not exist`);
                 }
                 else {
@@ -110,6 +215,26 @@ class S3Store extends DataStore {
             });
     }
 
+    /**
+     * Check the bucket exists in S3, which also checks the credentials.
+     * A failed check is attempted again on the next call.
+     *
+     * @return {Promise}
+     */
+    ready() {
+        if (!this._ready) {
+            this._ready = this._bucketExists()
+                .then(() => undefined)
+                .catch((err) => {
+                    log('ready', err);
+                    this._ready = null;
+                    throw err;
+                });
+        }
+
+        return this._ready;
+    }
+
     /**
      * Creates a multipart upload on S3 attaching any metadata to it.
      * Also, a `${file_id}.info` file is created which holds some information
@@ -121,39 +246,109 @@ class S3Store extends DataStore {
     _initMultipartUpload(file) {
         log(`[${file.id}] initializing multipart upload`);
 
+        return this.client
+            .send(new CreateMultipartUploadCommand(this._objectParams(file)))
+            .then((data) => {
+                log(`[${file.id}] multipart upload created (${data.UploadId})`);
+
+                return data.UploadId;
+            })
+            .then((upload_id) => this._saveMetadata(file, upload_id))
+            .catch((err) => {
+                throw err;
+            });
+    }
+
+    /**
+     * Parameters of the final object, shared by the multipart upload
+     * and the `putObject` of uploads fitting in a single part.
+     *
+     * @param  {Object} file file instance
+     * @return {Object}      S3 request parameters
+     */
+    _objectParams(file) {
         const parsedMetadata = this._parseMetadataString(file.upload_metadata);
 
         const upload_data = {
             Bucket: this.bucket_name,
             Key: file.id,
             Metadata: {
-                upload_length: file.upload_length,
                 tus_version: TUS_RESUMABLE,
-                upload_metadata: file.upload_metadata,
-                // upload_defer_length: upload_defer_length,
             },
         };
 
-        if (parsedMetadata.contentType) {
+        // The length of deferred uploads is unknown when the multipart upload is created.
+        // The rest describes the upload once its `.info` file is removed.
+        ['upload_length', 'upload_defer_length', 'upload_metadata', 'upload_concat', 'creation_date'].forEach((key) => {
+            if (file[key] !== undefined) {
+                upload_data.Metadata[key] = `${file[key]}`;
+            }
+        });
+
+        // Content types are ASCII, S3 would reject any other
+        if (parsedMetadata.contentType && PRINTABLE_ASCII.test(parsedMetadata.contentType.decoded)) {
             upload_data.ContentType = parsedMetadata.contentType.decoded;
         }
 
-        if (parsedMetadata.filename) {
-            upload_data.Metadata.original_name = parsedMetadata.filename.encoded;
+        if (parsedMetadata.filename && parsedMetadata.filename.decoded) {
+            const filename = parsedMetadata.filename.decoded;
+            upload_data.Metadata.original_name = this._encodeHeaderValue(filename);
+            upload_data.ContentDisposition = this._contentDisposition(filename);
         }
 
-        return this.client
-            .createMultipartUpload(upload_data)
-            .promise()
-            .then((data) => {
-                log(`[${file.id}] multipart upload created (${data.UploadId})`);
+        Object.keys(this.object_options).forEach((param) => {
+            const value = this._objectOption(this.object_options[param], file);
+            if (value !== undefined && value !== null) {
+                upload_data[param] = value;
+            }
+        });
 
-                return data.UploadId;
-            })
-            .then((upload_id) => this._saveMetadata(file, upload_id))
-            .catch((err) => {
-                throw err;
-            });
+        // Tags are sent URL encoded, like a query string
+        if (upload_data.Tagging && typeof upload_data.Tagging === 'object') {
+            upload_data.Tagging = new URLSearchParams(upload_data.Tagging).toString();
+        }
+
+        return upload_data;
+    }
+
+    /**
+     * Server-side encryption of the upload, which also applies
+     * to its `.info` object and incomplete part.
+     *
+     * @param  {Object} file file instance
+     * @return {Object}      S3 request parameters
+     */
+    _encryptionParams(file) {
+        const params = {};
+        ['ServerSideEncryption', 'SSEKMSKeyId'].forEach((param) => {
+            const value = this._objectOption(this.object_options[param], file);
+            if (value !== undefined && value !== null) {
+                params[param] = value;
+            }
+        });
+
+        return params;
+    }
+
+    /**
+     * Resolves an option given as a value or as a function of the upload.
+     *
+     * @param  {*}      option value, or function of the file and its decoded metadata
+     * @param  {Object} file   file instance
+     * @return {*}             value of the option
+     */
+    _objectOption(option, file) {
+        if (typeof option !== 'function') {
+            return option;
+        }
+
+        const parsedMetadata = this._parseMetadataString(file.upload_metadata);
+        const metadata = Object.keys(parsedMetadata).reduce((decoded, key) => {
+            decoded[key] = parsedMetadata[key].decoded;
+            return decoded;
+        }, {});
+
+        return option(file, metadata);
     }
 
     /**
@@ -176,20 +371,21 @@ class S3Store extends DataStore {
         };
 
         return this.client
-            .putObject({
+            .send(new PutObjectCommand(Object.assign({
                 Bucket: this.bucket_name,
                 Key: `${file.id}.info`,
                 Body: '',
                 Metadata: metadata,
-            })
-            .promise()
+            }, this._encryptionParams(file))))
             .then(() => {
                 log(`[${file.id}] metadata file saved`);
 
-                return {
+                const data = {
                     file,
                     upload_id,
                 };
+
+                return this.cache.set(file.id, data).then(() => data);
             })
             .catch((err) => {
                 throw err;
@@ -198,7 +394,7 @@ class S3Store extends DataStore {
 
     /**
      * Retrieves upload metadata previously saved in `${file_id}.info`.
-     * There's a small and simple caching mechanism to avoid multiple
+     * It is cached in the `cache` KvStore to avoid multiple
      * HTTP calls to S3.
      *
      * @param  {String} file_id id of the file
@@ -207,29 +403,28 @@ class S3Store extends DataStore {
     _getMetadata(file_id) {
         log(`[${file_id}] retrieving metadata`);
 
-        if (this.cache[file_id] && this.cache[file_id].file) {
-            log(`[${file_id}] metadata from cache`);
+        return this.cache.get(file_id)
+            .then((cached) => {
+                if (cached && cached.file) {
+                    log(`[${file_id}] metadata from cache`);
 
-            return Promise.resolve(this.cache[file_id]);
-        }
+                    return cached;
+                }
 
-        log(`[${file_id}] metadata from s3`);
+                log(`[${file_id}] metadata from s3`);
 
-        return this.client
-            .headObject({
-                Bucket: this.bucket_name,
-                Key: `${file_id}.info`,
-            })
-            .promise()
-            .then((data) => {
-                this.cache[file_id] = Object.assign({}, data.Metadata, {
-                    file: JSON.parse(data.Metadata.file),
-                });
+                return this.client
+                    .send(new HeadObjectCommand({
+                        Bucket: this.bucket_name,
+                        Key: `${file_id}.info`,
+                    }))
+                    .then((data) => {
+                        const metadata = Object.assign({}, data.Metadata, {
+                            file: JSON.parse(data.Metadata.file),
+                        });
 
-                return this.cache[file_id];
-            })
-            .catch((err) => {
-                throw err;
+                        return this.cache.set(file_id, metadata).then(() => metadata);
+                    });
             });
     }
 
@@ -240,38 +435,76 @@ class S3Store extends DataStore {
      * @return {Object}                 metadata as key-value pair
      */
     _parseMetadataString(metadata_string) {
+        if (!metadata_string) {
+            return {};
+        }
+
         const kv_pair_list = metadata_string.split(',');
 
         return kv_pair_list.reduce((metadata, kv_pair) => {
-            const [key, base64_value] = kv_pair.split(' ');
+            // The value may be empty, and the space before it omitted
+            const [key, base64_value = ''] = kv_pair.trim().split(' ');
 
-            metadata[key] = {
-                encoded: base64_value,
-                decoded: Buffer.from(base64_value, 'base64').toString('ascii'),
-            };
+            if (key) {
+                metadata[key] = {
+                    encoded: base64_value,
+                    decoded: Buffer.from(base64_value, 'base64').toString('utf8'),
+                };
+            }
 
             return metadata;
         }, {});
     }
 
+    /**
+     * Encodes a value for the headers of an S3 request, which only
+     * allow ASCII. Other values are sent as a RFC 2047 encoded-word,
+     * the way S3 returns them.
+     *
+     * @param  {String} value decoded value
+     * @return {String}       ASCII value
+     */
+    _encodeHeaderValue(value) {
+        if (PRINTABLE_ASCII.test(value)) {
+            return value;
+        }
+
+        return `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+    }
+
+    /**
+     * Builds the Content-Disposition of the final object, with an ASCII
+     * fallback of the file name and its UTF-8 form in `filename*` (RFC 6266).
+     *
+     * @param  {String} filename decoded file name
+     * @return {String}          Content-Disposition header
+     */
+    _contentDisposition(filename) {
+        const ascii_name = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+        const encoded_name = encodeURIComponent(filename)
+            .replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+        return `attachment; filename="${ascii_name}"; filename*=UTF-8''${encoded_name}`;
+    }
+
     /**
      * Uploads a part/chunk to S3 from a temporary part file.
      *
      * @param  {Object}          metadata            upload metadata
-     * @param  {Stream}          read_stream         incoming request read stream
+     * @param  {Object}          part                temporary part file `{ path, size }`
      * @param  {Number}          current_part_number number of the current part/chunk
      * @return {Promise<String>}                     which resolves with the parts' etag
      */
-    _uploadPart(metadata, read_stream, current_part_number) {
+    _uploadPart(metadata, part, current_part_number) {
         return this.client
-            .uploadPart({
+            .send(new UploadPartCommand({
                 Bucket: this.bucket_name,
                 Key: metadata.file.id,
                 UploadId: metadata.upload_id,
                 PartNumber: current_part_number,
-                Body: read_stream,
-            })
-            .promise()
+                Body: fs.createReadStream(part.path),
+                ContentLength: part.size,
+            }))
             .then((data) => {
                 log(`[${metadata.file.id}] finished uploading part #${current_part_number}`);
 
@@ -283,39 +516,400 @@ class S3Store extends DataStore {
     }
 
     /**
-     * Processes the following steps:
-     * - uploads a part (stream) to s3
-     * - finishes the upload in case offset === length
+     * Uploads the whole file with a single `putObject`, for uploads
+     * fitting in one part. The multipart upload is no longer needed.
+     *
+     * @param  {Object}          metadata upload metadata
+     * @param  {Object}          part     temporary part file `{ path, size }`
+     * @return {Promise<String>}          which resolves with the file location on S3
+     */
+    _putObject(metadata, part) {
+        return this.client
+            .send(new PutObjectCommand(Object.assign(this._objectParams(metadata.file), {
+                Body: fs.createReadStream(part.path),
+                ContentLength: part.size,
+            })))
+            .then(() => this._abortMultipartUpload(metadata.file.id, metadata.upload_id))
+            .then(() => this._objectLocation(metadata.file.id));
+    }
+
+    /**
+     * Builds the URL of an object, like the `Location` returned
+     * when completing a multipart upload.
+     *
+     * @param  {String}          file_id id of the file
+     * @return {Promise<String>}         file location on S3
+     */
+    _objectLocation(file_id) {
+        const key = file_id.split('/').map(encodeURIComponent).join('/');
+
+        if (!this.client.config.endpoint) {
+            return this.client.config.region()
+                .then((region) => `https://${this.bucket_name}.s3.${region}.amazonaws.com/${key}`);
+        }
+
+        return this.client.config.endpoint()
+            .then((endpoint) => {
+                const host = endpoint.port ? `${endpoint.hostname}:${endpoint.port}` : endpoint.hostname;
+                const path = endpoint.path.replace(/\/$/, '');
+
+                if (this.client.config.forcePathStyle) {
+                    return `${endpoint.protocol}//${host}${path}/${this.bucket_name}/${key}`;
+                }
+
+                return `${endpoint.protocol}//${this.bucket_name}.${host}${path}/${key}`;
+            });
+    }
+
+    /**
+     * Downloads the incomplete part, ie. the bytes of the previous
+     * PATCH requests that were too few to be uploaded as a part.
+     *
+     * @param  {String}               file_id id of the file
+     * @return {Promise<Buffer|null>}         null if there is none
+     */
+    _getIncompletePart(file_id) {
+        return this.client
+            .send(new GetObjectCommand({
+                Bucket: this.bucket_name,
+                Key: `${file_id}.part`,
+            }))
+            .then((data) => data.Body.transformToByteArray())
+            .then((bytes) => Buffer.from(bytes))
+            .catch((err) => {
+                if (err.name === 'NoSuchKey') {
+                    return null;
+                }
+
+                throw err;
+            });
+    }
+
+    /**
+     * Gets the size of the incomplete part.
      *
-     * @param {Object}                metadata            upload metadata
-     * @param {http<IncomingMessage>} req                 incoming request
-     * @param {Number}                current_part_number number of the current part/chunk
-     * @return {Promise<Number>}                         which resolves with the current offset
+     * @param  {String}          file_id id of the file
+     * @return {Promise<Number>}         0 if there is none
+     */
+    _getIncompletePartSize(file_id) {
+        return this.client
+            .send(new HeadObjectCommand({
+                Bucket: this.bucket_name,
+                Key: `${file_id}.part`,
+            }))
+            .then((data) => data.ContentLength)
+            .catch((err) => {
+                if (err.name === 'NotFound') {
+                    return 0;
+                }
+
+                throw err;
+            });
+    }
+
+    /**
+     * Saves the temporary part file as the incomplete part,
+     * to be prepended to the next PATCH request.
+     *
+     * @param  {Object}  metadata upload metadata
+     * @param  {Object}  part     temporary part file `{ path, size }`
+     * @return {Promise}
+     */
+    _putIncompletePart(metadata, part) {
+        log(`[${metadata.file.id}] saving ${part.size} bytes as incomplete part`);
+
+        return this.client
+            .send(new PutObjectCommand(Object.assign({
+                Bucket: this.bucket_name,
+                Key: `${metadata.file.id}.part`,
+                Body: fs.createReadStream(part.path),
+                ContentLength: part.size,
+            }, this._encryptionParams(metadata.file))));
+    }
+
+    /**
+     * Removes the incomplete part once it has been uploaded.
+     *
+     * @param  {String}  file_id id of the file
+     * @return {Promise}
+     */
+    _deleteIncompletePart(file_id) {
+        return this.client
+            .send(new DeleteObjectCommand({
+                Bucket: this.bucket_name,
+                Key: `${file_id}.part`,
+            }));
+    }
+
+    /**
+     * Splits the incomplete part followed by the incoming request into
+     * temporary files of `partSize` bytes, and processes the following steps:
+     * - uploads the whole file with `putObject` if it fits in one part
+     * - uploads full parts to s3 while the request is received, up to
+     *   `maxConcurrentPartUploads` at a time
+     * - uploads the remaining bytes as a part if they are the last ones or
+     *   large enough, or saves them as the incomplete part otherwise
+     * - finishes the upload in case offset === length, which for deferred
+     *   uploads happens once their length is declared
+     *
+     * Parts following one that failed are left by a previous request. They
+     * are full parts, so their bytes are at the right offset once the parts
+     * before them are uploaded again as full parts. A part shorter than
+     * `partSize` would shift them, so it is saved as the incomplete part
+     * instead while they are there.
+     *
+     * @param {Object}         metadata        upload metadata
+     * @param {Array}          all_parts       parts already uploaded, including the stale ones
+     * @param {Buffer|null}    incomplete_part bytes of the previous PATCH requests
+     * @param {Stream}         req             incoming request read stream
+     * @return {Promise<Number>}               which resolves with the current offset
      * @memberof S3Store
      */
-    _processUpload(metadata, req, current_part_number) {
-        return this._uploadPart(metadata, req, current_part_number)
-            .then(() => this.getOffset(metadata.file.id, true))
-            .then((current_offset) => {
-                if (parseInt(metadata.file.upload_length, 10) === current_offset.size) {
-                    return this._finishMultipartUpload(metadata, current_offset.parts)
-                        .then((location) => {
-                            log(`[${metadata.file.id}] finished uploading: ${location}`);
-
-                            this.emit(EVENTS.EVENT_UPLOAD_COMPLETE, {
-                                file: Object.assign({}, metadata.file, { location }),
-                            });
+    _processUpload(metadata, all_parts, incomplete_part, req) {
+        const file_id = metadata.file.id;
+        const upload_length = parseInt(metadata.file.upload_length, 10);
+        const uploaded_parts = this._contiguousParts(all_parts);
+        const first_part_number = uploaded_parts.length + 1;
+        const stale_parts = all_parts.filter((part) => part.PartNumber > uploaded_parts.length);
+        const chunks = new Set();
+        let next_part_number = first_part_number;
+        let incomplete_size = incomplete_part ? incomplete_part.length : 0;
+
+        const removeChunk = (chunk) => {
+            chunks.delete(chunk);
+            fs.unlink(chunk.path, noop);
+        };
 
-                            this._clearCache(metadata.file.id);
+        const uploadedSize = () => uploaded_parts.reduce((size, part) => size + parseInt(part.Size, 10), 0);
 
-                            return current_offset.size;
-                        })
+        // Offset once the stale parts which are no longer after a gap count
+        const currentSize = () => {
+            const part_numbers = new Set(uploaded_parts.map((part) => part.PartNumber));
+            const parts = stale_parts.filter((part) => !part_numbers.has(part.PartNumber)).concat(uploaded_parts);
+
+            return this._contiguousParts(parts).reduce((size, part) => size + parseInt(part.Size, 10), 0);
+        };
+
+        const hasStalePartsAfter = (part_number) => stale_parts.some((part) => part.PartNumber > part_number);
+
+        // Uploads a chunk as the next part. The incomplete part is
+        // obsolete once the first part, which starts with it, is uploaded.
+        const uploadChunk = (chunk) => {
+            const part_number = next_part_number++;
+
+            return this._uploadPart(metadata, chunk, part_number)
+                .then((etag) => {
+                    removeChunk(chunk);
+                    uploaded_parts.push({ ETag: etag, PartNumber: part_number, Size: chunk.size });
+
+                    if (!incomplete_size || part_number !== first_part_number) {
+                        return undefined;
+                    }
+
+                    incomplete_size = 0;
+                    return this._deleteIncompletePart(file_id);
+                });
+        };
+
+        const completeUpload = () => {
+            const sorted_parts = uploaded_parts.sort((a, b) => a.PartNumber - b.PartNumber);
+
+            return this._finishMultipartUpload(metadata, sorted_parts)
+                .then((location) => this._finishUpload(metadata, location, 0));
+        };
+
+        const finishChunk = (chunk) => {
+            const offset = uploadedSize() + chunk.size;
+            const is_last = upload_length === offset;
+
+            if (is_last && uploaded_parts.length === 0) {
+                return this._putObject(metadata, chunk)
+                    .then((location) => this._finishUpload(metadata, location, incomplete_size))
+                    .then(() => offset);
+            }
+
+            const is_short = chunk.size < MIN_PART_SIZE || (chunk.size < this.part_size && hasStalePartsAfter(next_part_number));
+            if (!is_last && is_short) {
+                // Nothing was received
+                if (chunk.size === incomplete_size) {
+                    return Promise.resolve(offset);
+                }
+
+                return this._putIncompletePart(metadata, chunk)
+                    .then(() => offset);
+            }
+
+            if (is_last) {
+                return uploadChunk(chunk)
+                    .then(() => completeUpload())
+                    .then(() => offset);
+            }
+
+            return uploadChunk(chunk).then(() => currentSize());
+        };
+
+        // Without any bytes left to upload, the upload is complete if the
+        // declared length of a deferred upload matches the uploaded parts
+        const finishParts = () => {
+            const offset = uploadedSize();
+            if (upload_length !== offset || uploaded_parts.length === 0) {
+                return Promise.resolve(offset);
+            }
+
+            return completeUpload().then(() => offset);
+        };
+
+        return new Promise((resolve, reject) => {
+            // Uploads in progress, by chunk. They never reject, the first failure is kept instead.
+            const in_flight = new Map();
+            const settle = () => Promise.all(Array.from(in_flight.values()));
+            let failure = null;
+
+            // Each chunk is uploaded once the next one starts,
+            // so the last chunk of the request can be told apart
+            let pending = null;
+
+            const waitForSlot = () => {
+                if (failure) {
+                    return Promise.reject(failure);
+                }
+
+                if (in_flight.size < this.max_concurrent_part_uploads) {
+                    return Promise.resolve();
+                }
+
+                return Promise.race(in_flight.values()).then(waitForSlot);
+            };
+
+            const splitter = new StreamSplitter({
+                chunkSize: this.part_size,
+                directory: os.tmpdir(),
+                prefix: `${this.tmp_dir_prefix}-`,
+                // Waiting for a free slot holds back the incoming request,
+                // rejecting once a part failed stops it
+                onChunkFinished: (chunk) => {
+                    chunks.add(chunk);
+
+                    const full_chunk = pending;
+                    pending = chunk;
+                    if (!full_chunk) {
+                        return undefined;
+                    }
+
+                    in_flight.set(full_chunk, uploadChunk(full_chunk)
                         .catch((err) => {
-                            throw err;
-                        });
+                            failure = failure || err;
+                        })
+                        .then(() => in_flight.delete(full_chunk)));
+
+                    return waitForSlot();
+                },
+            });
+
+            // Parts still uploading are awaited, so no request
+            // writes to the upload once this one has failed
+            const fail = (err) => {
+                failure = failure || err;
+                req.unpipe(splitter);
+                splitter.destroy();
+                return settle().then(() => reject(failure));
+            };
+
+            splitter.on('error', fail);
+            req.on('error', fail);
+            splitter.on('finish', () => {
+                return settle().then(() => {
+                    if (failure) {
+                        return reject(failure);
+                    }
+
+                    return resolve(pending ? finishChunk(pending) : finishParts());
+                });
+            });
+
+            if (incomplete_part) {
+                splitter.write(incomplete_part);
+            }
+            req.pipe(splitter);
+        })
+            .then((offset) => {
+                chunks.forEach(removeChunk);
+                return offset;
+            }, (err) => {
+                chunks.forEach(removeChunk);
+                throw err;
+            });
+    }
+
+    /**
+     * Announces the finished upload and cleans up after it.
+     *
+     * @param  {Object}  metadata        upload metadata
+     * @param  {String}  location        file location on S3
+     * @param  {Number}  incomplete_size size of the incomplete part left to remove
+     * @return {Promise}
+     */
+    _finishUpload(metadata, location, incomplete_size) {
+        const deletion = incomplete_size ? this._deleteIncompletePart(metadata.file.id) : Promise.resolve();
+
+        return deletion.then(() => {
+            log(`[${metadata.file.id}] finished uploading: ${location}`);
+
+            this.emit(EVENTS.EVENT_UPLOAD_COMPLETE, {
+                file: Object.assign({}, metadata.file, { location }),
+            });
+
+            return this._completeMetadata(metadata.file.id);
+        });
+    }
+
+    /**
+     * Forgets the metadata of a completed upload, removing its
+     * `${file_id}.info` file with `deleteInfoOnCompletion`. The
+     * completed upload is then described by the final object.
+     *
+     * @param  {String}  file_id id of the file
+     * @return {Promise}
+     */
+    _completeMetadata(file_id) {
+        if (!this.delete_info_on_completion) {
+            return this._clearCache(file_id);
+        }
+
+        return this._deleteUploadObjects(file_id)
+            .catch((err) => {
+                log(`[${file_id}] could not remove the .info file`, err);
+                return this._clearCache(file_id);
+            });
+    }
+
+    /**
+     * Describes a completed upload from the metadata of its final object,
+     * once its `${file_id}.info` file is removed. Objects which were not
+     * uploaded with tus are not found.
+     *
+     * @param  {String}          file_id id of the file
+     * @return {Promise<Object>}         the file and its size
+     */
+    _getCompletedFile(file_id) {
+        return this.client
+            .send(new HeadObjectCommand({
+                Bucket: this.bucket_name,
+                Key: file_id,
+            }))
+            .then((data) => {
+                if (!data.Metadata || !data.Metadata.tus_version) {
+                    throw ERRORS.FILE_NOT_FOUND;
                 }
 
-                return current_offset.size;
+                return {
+                    id: file_id,
+                    upload_length: `${data.ContentLength}`,
+                    upload_metadata: data.Metadata.upload_metadata,
+                    upload_concat: data.Metadata.upload_concat,
+                    creation_date: data.Metadata.creation_date,
+                    size: data.ContentLength,
+                };
             });
     }
 
@@ -329,7 +923,7 @@ class S3Store extends DataStore {
      */
     _finishMultipartUpload(metadata, parts) {
         return this.client
-            .completeMultipartUpload({
+            .send(new CompleteMultipartUploadCommand({
                 Bucket: this.bucket_name,
                 Key: metadata.file.id,
                 UploadId: metadata.upload_id,
@@ -341,8 +935,7 @@ class S3Store extends DataStore {
                         };
                     }),
                 },
-            })
-            .promise()
+            }))
             .then((result) => result.Location)
             .catch((err) => {
                 throw err;
@@ -354,14 +947,15 @@ class S3Store extends DataStore {
      * already uploaded to S3.
      *
      * @param  {String}          file_id            id of the file
+     * @param  {String}          upload_id          S3 upload id
      * @param  {String}          part_number_marker optional part number marker
      * @return {Promise<Array>}                    upload parts
      */
-    _retrieveParts(file_id, part_number_marker) {
+    _retrieveParts(file_id, upload_id, part_number_marker) {
         const params = {
             Bucket: this.bucket_name,
             Key: file_id,
-            UploadId: this.cache[file_id].upload_id,
+            UploadId: upload_id,
         };
 
         if (part_number_marker) {
@@ -369,188 +963,628 @@ class S3Store extends DataStore {
         }
 
         return this.client
-            .listParts(params)
-            .promise()
+            .send(new ListPartsCommand(params))
             .then((data) => {
-                if (data.NextPartNumberMarker) {
-                    return this._retrieveParts(file_id, data.NextPartNumberMarker)
-                        .then((val) => [].concat(data.Parts, val));
+                if (data.IsTruncated) {
+                    return this._retrieveParts(file_id, upload_id, data.NextPartNumberMarker)
+                        .then((val) => [].concat(data.Parts || [], val));
                 }
 
-                return data.Parts;
+                return data.Parts || [];
             });
     }
 
     /**
-     * Gets the number of parts/chunks
-     * already uploaded to S3.
+     * Keeps the parts numbered from 1 without gaps. Parts uploaded
+     * concurrently complete in any order, so the parts following one
+     * that failed are not part of the offset. They are overwritten, or
+     * count again once the parts before them are uploaded again.
      *
-     * @param  {String}          file_id            id of the file
-     * @return {Promise<Number>}                    number of parts
+     * @param  {Array} parts upload parts
+     * @return {Array}       contiguous parts, in order
      */
-    _countParts(file_id) {
-        return this._retrieveParts(file_id)
-            .then((parts) => parts.length);
+    _contiguousParts(parts) {
+        const sorted = parts.slice().sort((a, b) => a.PartNumber - b.PartNumber);
+        const gap = sorted.findIndex((part, index) => part.PartNumber !== index + 1);
+
+        return gap === -1 ? sorted : sorted.slice(0, gap);
     }
 
     /**
-     * Removes cached data for a given file.
-     * @param  {String} file_id id of the file
-     * @return {undefined}
+     * Prefix of all the keys of the store, when `keyPrefix` is static.
+     *
+     * @return {String|undefined}
+     */
+    _storePrefix() {
+        return typeof this.key_prefix === 'string' ? this.key_prefix : undefined;
+    }
+
+    /**
+     * Lists the multipart uploads in progress under the store prefix.
+     *
+     * @param  {String}         key_marker       optional key marker
+     * @param  {String}         upload_id_marker optional upload id marker
+     * @return {Promise<Array>}                  multipart uploads
+     */
+    _listMultipartUploads(key_marker, upload_id_marker) {
+        const params = {
+            Bucket: this.bucket_name,
+            Prefix: this._storePrefix(),
+        };
+
+        if (key_marker) {
+            params.KeyMarker = key_marker;
+            params.UploadIdMarker = upload_id_marker;
+        }
+
+        return this.client
+            .send(new ListMultipartUploadsCommand(params))
+            .then((data) => {
+                if (data.IsTruncated) {
+                    return this._listMultipartUploads(data.NextKeyMarker, data.NextUploadIdMarker)
+                        .then((val) => [].concat(data.Uploads || [], val));
+                }
+
+                return data.Uploads || [];
+            });
+    }
+
+    /**
+     * Lists the objects under the store prefix.
+     *
+     * @param  {String}         continuation_token optional continuation token
+     * @return {Promise<Array>}                    objects
+     */
+    _listObjects(continuation_token) {
+        const params = {
+            Bucket: this.bucket_name,
+            Prefix: this._storePrefix(),
+        };
+
+        if (continuation_token) {
+            params.ContinuationToken = continuation_token;
+        }
+
+        return this.client
+            .send(new ListObjectsV2Command(params))
+            .then((data) => {
+                if (data.IsTruncated) {
+                    return this._listObjects(data.NextContinuationToken)
+                        .then((val) => [].concat(data.Contents || [], val));
+                }
+
+                return data.Contents || [];
+            });
+    }
+
+    /**
+     * Removes the `${file_id}.info` and `${file_id}.part` files.
+     *
+     * @param  {String}  file_id id of the file
+     * @return {Promise}
+     */
+    _deleteUploadObjects(file_id) {
+        return this.client
+            .send(new DeleteObjectsCommand({
+                Bucket: this.bucket_name,
+                Delete: {
+                    Objects: [
+                        { Key: `${file_id}.info` },
+                        { Key: `${file_id}.part` },
+                    ],
+                },
+            }))
+            .then(() => this._clearCache(file_id));
+    }
+
+    /**
+     * Removes cached data for a given file. Failing to do so
+     * is only logged, the data expires from the cache anyway.
+     *
+     * @param  {String}  file_id id of the file
+     * @return {Promise}
      */
     _clearCache(file_id) {
         log(`[${file_id}] removing cached data`);
-        delete this.cache[file_id];
+
+        return this.cache.delete(file_id)
+            .catch((err) => {
+                log(`[${file_id}] could not remove cached data`, err);
+            });
     }
 
     create(req) {
         const upload_length = req.headers['upload-length'];
         const upload_defer_length = req.headers['upload-defer-length'];
         const upload_metadata = req.headers['upload-metadata'];
+        const upload_concat = req.headers['upload-concat'];
 
         if (upload_length === undefined && upload_defer_length === undefined) {
             throw new Error(ERRORS.INVALID_LENGTH);
         }
 
-        let file_id;
+        let file;
 
         try {
-            file_id = this.generateFileName(req);
+            file = new File(this.generateFileName(req), upload_length, upload_defer_length, upload_metadata, upload_concat);
+
+            // The prefix is part of the id, so the upload is found by its url
+            const key_prefix = this._objectOption(this.key_prefix, file);
+            if (key_prefix) {
+                file.id = `${key_prefix}${file.id}`;
+            }
         }
         catch (err) {
-            console.warn('[S3Store] create: check your `namingFunction`. Error', err);
+            console.warn('[S3Store] create: check your `namingFunction` and `keyPrefix`. Error', err);
             throw new Error(ERRORS.FILE_WRITE_ERROR);
         }
 
-        const file = new File(file_id, upload_length, upload_defer_length, upload_metadata);
-
-        return this._bucketExists()
-            .then(() => this._initMultipartUpload(file))
+        return this._initMultipartUpload(file)
             .then((data) => {
                 this.emit(EVENTS.EVENT_FILE_CREATED, data);
 
                 return data.file;
             })
             .catch((err) => {
-                this._clearCache(file_id);
-                throw err;
+                return this._clearCache(file.id).then(() => {
+                    throw err;
+                });
             });
     }
 
-    write(req, file_id, offset) {
-        return new Promise((resolve, reject) => {
-            Promise
-                .all([
-                    this._countParts(file_id),
-                    this._getMetadata(file_id),
-                ])
-                .then((results) => {
-                    const [part_number, metadata] = results;
-                    const current_part_number = part_number + 1;
-                    const total_parts = Math.ceil(
-                        parseInt(metadata.file.upload_length, 10) / this.part_size
-                    );
-
-                    // s3 sdk requires a content length
-                    // even though it is a stream (?)
-                    if (current_part_number === total_parts) {
-                        req.length = metadata.file.upload_length - offset;
-                    }
-                    else {
-                        req.length = this.part_size;
+    /**
+     * Uploads the incoming request, prepended with the incomplete part,
+     * in as many parts as needed.
+     *
+     * @param  {Stream}          req     incoming request read stream
+     * @param  {String}          file_id id of the file
+     * @return {Promise<Number>}         which resolves with the new offset
+     */
+    write(req, file_id) {
+        return this._getMetadata(file_id)
+            .then((metadata) => Promise.all([
+                metadata,
+                this._retrieveParts(file_id, metadata.upload_id),
+                this._getIncompletePart(file_id),
+            ]))
+            .then(([metadata, parts, incomplete_part]) => this._processUpload(metadata, parts, incomplete_part, req))
+            .catch((err) => {
+                return this._clearCache(file_id).then(() => {
+                    throw err;
+                });
+            });
+    }
+
+    /**
+     * Aborts the multipart upload, unless it is already finished or aborted.
+     *
+     * @param  {String}  file_id   id of the file
+     * @param  {String}  upload_id S3 upload id
+     * @return {Promise}
+     */
+    _abortMultipartUpload(file_id, upload_id) {
+        return this.client
+            .send(new AbortMultipartUploadCommand({
+                Bucket: this.bucket_name,
+                Key: file_id,
+                UploadId: upload_id,
+            }))
+            .catch((err) => {
+                if (err.name !== 'NoSuchUpload') {
+                    throw err;
+                }
+
+                log(`[${file_id}] multipart upload already finished or aborted`);
+            });
+    }
+
+    /**
+     * Aborts the multipart upload and removes the `${file_id}.info`
+     * and `${file_id}.part` files.
+     * Uploads which are already finished no longer have a multipart upload,
+     * so the final object is removed as well. Their `${file_id}.info` file
+     * may have been removed already with `deleteInfoOnCompletion`.
+     *
+     * @param  {String}  file_id id of the file
+     * @return {Promise}
+     */
+    remove(file_id) {
+        return this._getMetadata(file_id)
+            .then((metadata) => this._abortMultipartUpload(file_id, metadata.upload_id))
+            .catch((err) => {
+                if (err.name !== 'NotFound') {
+                    throw err;
+                }
+
+                // Only the final objects of tus uploads are removed
+                return this._getCompletedFile(file_id);
+            })
+            .then(() => {
+                return this.client
+                    .send(new DeleteObjectsCommand({
+                        Bucket: this.bucket_name,
+                        Delete: {
+                            Objects: [
+                                { Key: file_id },
+                                { Key: `${file_id}.info` },
+                                { Key: `${file_id}.part` },
+                            ],
+                        },
+                    }));
+            })
+            .then(() => {
+                log(`[${file_id}] upload removed`);
+                return this._clearCache(file_id);
+            })
+            .catch((err) => {
+                return this._clearCache(file_id).then(() => {
+                    if (['NotFound', 'NoSuchKey'].includes(err.name)) {
+                        log(`[${file_id}] remove: No file found`);
+                        throw ERRORS.FILE_NOT_FOUND;
                     }
 
-                    // we need to know if the connection was closed
-                    // to gracefully handle s3 sdk errors
-                    let isClosed = false;
-                    req.on('close', () => {
-                        isClosed = true;
-                    });
+                    throw err;
+                });
+            });
+    }
+
+    /**
+     * Removes the uploads whose multipart upload was initiated longer
+     * than the expiration period ago. Multipart uploads without a
+     * `${file_id}.info` file were not created by tus and are left alone.
+     *
+     * @return {Promise<Number>} number of uploads removed
+     */
+    deleteExpired() {
+        if (!this.expirationPeriodInMilliseconds) {
+            return Promise.resolve(0);
+        }
+
+        const expired_before = new Date(Date.now() - this.expirationPeriodInMilliseconds);
 
-                    return this._processUpload(metadata, req, current_part_number)
-                        .then(resolve)
+        return this._listMultipartUploads()
+            .then((uploads) => {
+                const expired = uploads.filter((upload) => new Date(upload.Initiated) < expired_before);
+
+                return Promise.all(expired.map((upload) => {
+                    return this.remove(upload.Key)
+                        .then(() => true)
                         .catch((err) => {
-                            // we'll get in here when the client closes/cancels
-                            // the request however s3 is expecting more data since
-                            // we had to set a content length in the incoming stream
-                            if (['RequestTimeout', 'NoSuchUpload'].includes(err.code) && isClosed) {
-                                if (err.code === 'RequestTimeout') {
-                                    console.warn('[S3Store] Request "close" event was emitted,'
-                                        + 'however S3 was expecting more data. Failing gracefully...');
-                                }
-
-                                if (err.code === 'NoSuchUpload') {
-                                    console.warn('[S3Store] Request "close" event was emitted,'
-                                        + 'however S3 was expecting more data. Most likely the'
-                                        + ' upload is already finished/aborted. Failing gracefully...');
-                                }
-
-                                return this.getOffset(file_id, true)
-                                    .then((current_offset) => resolve(current_offset.size))
-                                    .catch(reject);
-                            }
-
-                            this._clearCache(file_id);
-
-                            console.error(err);
-                            return reject(err);
+                            log(`[${upload.Key}] could not remove expired upload`, err);
+                            return false;
                         });
-                })
-                .catch(reject);
-        });
+                }));
+            })
+            .then((removed) => removed.filter(Boolean).length);
     }
 
-    getOffset(file_id, with_parts = false) {
-        return new Promise((resolve, reject) => {
-            this._getMetadata(file_id)
-                .then((metadata) => {
-                    return this._retrieveParts(file_id)
-                        .then((parts) => {
-                            return {
-                                parts,
-                                metadata,
-                            };
-                        })
-                        .catch((err) => {
-                            throw err;
-                        });
-                })
-                .then((data) => {
-                    // if no parts are found, offset is 0
-                    if (data.parts.length === 0) {
-                        return resolve({
-                            size: 0,
-                            upload_length: data.metadata.file.upload_length,
-                        });
-                    }
+    /**
+     * Removes what abandoned uploads leave behind under the store prefix:
+     * multipart uploads initiated longer than `orphanAgeInMilliseconds`
+     * ago, which are billed until aborted, along with their `.info` and
+     * `.part` files, and `.info` files of that age left without an upload.
+     * With `deleteInfoOnCompletion`, older `.info` files of completed
+     * uploads are removed as well.
+     *
+     * Like with `deleteExpired`, multipart uploads without a `.info` file
+     * written by tus were not created by this store and are left alone.
+     *
+     * @return {Promise<Number>} number of multipart uploads and `.info` files removed
+     */
+    deleteOrphans() {
+        const orphaned_before = new Date(Date.now() - this.orphan_age);
+
+        return this._listMultipartUploads()
+            .then((uploads) => {
+                const abandoned = uploads.filter((upload) => new Date(upload.Initiated) < orphaned_before);
+
+                return Promise
+                    .all(abandoned.map((upload) => this._deleteAbandonedUpload(upload)))
+                    .then((aborted) => {
+                        // The uploads which could not be aborted keep their .info
+                        const in_progress = new Set(uploads
+                            .filter((upload) => !aborted[abandoned.indexOf(upload)])
+                            .map((upload) => upload.Key));
+
+                        return this._listObjects()
+                            .then((objects) => {
+                                const info_ids = objects
+                                    .filter((object) => object.Key.endsWith('.info') && new Date(object.LastModified) < orphaned_before)
+                                    .map((object) => object.Key.slice(0, -'.info'.length))
+                                    .filter((file_id) => !in_progress.has(file_id));
+
+                                return Promise.all(info_ids.map((file_id) => this._deleteOrphanedInfo(file_id)));
+                            })
+                            .then((removed) => aborted.concat(removed).filter(Boolean).length);
+                    });
+            })
+            .then((removed) => {
+                log(`deleteOrphans: ${removed} orphans removed`);
+                return removed;
+            });
+    }
 
-                    const offset = data.parts.reduce((a, b) => {
-                        a += parseInt(b.Size, 10);
+    /**
+     * Aborts an abandoned multipart upload of tus, and removes its `.info`
+     * and `.part` files unless they belong to a newer upload of the same key.
+     *
+     * @param  {Object}           upload multipart upload, as listed
+     * @return {Promise<Boolean>}        whether it was aborted
+     */
+    _deleteAbandonedUpload(upload) {
+        return this.client
+            .send(new HeadObjectCommand({
+                Bucket: this.bucket_name,
+                Key: `${upload.Key}.info`,
+            }))
+            .then((info) => info.Metadata || {}, (err) => {
+                if (err.name === 'NotFound') {
+                    return {};
+                }
 
-                        return a;
-                    }, 0);
+                throw err;
+            })
+            .then((metadata) => {
+                if (!metadata.tus_version || !metadata.file) {
+                    log(`[${upload.Key}] multipart upload ${upload.UploadId} not created by tus, left alone`);
+                    return false;
+                }
 
-                    let output = Object.assign({}, this.cache[file_id].file, {
-                        size: offset,
+                return this._abortMultipartUpload(upload.Key, upload.UploadId)
+                    .then(() => (metadata.upload_id === upload.UploadId ? this._deleteUploadObjects(upload.Key) : undefined))
+                    .then(() => {
+                        log(`[${upload.Key}] abandoned multipart upload ${upload.UploadId} aborted`);
+                        return true;
                     });
+            })
+            .catch((err) => {
+                log(`[${upload.Key}] could not abort abandoned multipart upload ${upload.UploadId}`, err);
+                return false;
+            });
+    }
 
-                    if (with_parts) {
-                        output = Object.assign(output, { parts: data.parts });
-                    }
+    /**
+     * Removes the `.info` and `.part` files of an upload without multipart
+     * upload, unless it was completed. Those of completed uploads are only
+     * removed with `deleteInfoOnCompletion`. Objects named `.info` which
+     * this store did not write are left alone.
+     *
+     * @param  {String}           file_id id of the file
+     * @return {Promise<Boolean>}         whether they were removed
+     */
+    _deleteOrphanedInfo(file_id) {
+        return this.client
+            .send(new HeadObjectCommand({
+                Bucket: this.bucket_name,
+                Key: `${file_id}.info`,
+            }))
+            .then((info) => {
+                const metadata = info.Metadata || {};
+                if (!metadata.tus_version || !metadata.file) {
+                    log(`[${file_id}] .info file not written by tus, left alone`);
+                    return false;
+                }
 
-                    return resolve(output);
-                })
-                .catch((err) => {
-                    if (['NotFound', 'NoSuchUpload'].includes(err.code)) {
-                        console.error(err);
-                        console.warn('[S3Store] getOffset: No file found.');
+                return this.client
+                    .send(new HeadObjectCommand({
+                        Bucket: this.bucket_name,
+                        Key: file_id,
+                    }))
+                    .then(() => this.delete_info_on_completion, (err) => {
+                        if (err.name !== 'NotFound') {
+                            throw err;
+                        }
 
-                        return reject(ERRORS.FILE_NOT_FOUND);
-                    }
+                        return true;
+                    });
+            })
+            .then((orphaned) => {
+                if (!orphaned) {
+                    return false;
+                }
+
+                return this._deleteUploadObjects(file_id).then(() => {
+                    log(`[${file_id}] orphaned .info file removed`);
+                    return true;
+                });
+            })
+            .catch((err) => {
+                log(`[${file_id}] could not remove orphaned .info file`, err);
+                return false;
+            });
+    }
+
+    /**
+     * Reads the completed object, or the given range of it.
+     *
+     * @param  {String} file_id id of the file
+     * @param  {Object} [range] `{ start, end }` offsets to read, inclusive
+     * @return {Stream}
+     */
+    read(file_id, range) {
+        const params = {
+            Bucket: this.bucket_name,
+            Key: file_id,
+        };
+
+        if (range) {
+            params.Range = `bytes=${range.start}-${range.end}`;
+        }
+
+        // The object is requested asynchronously, the stream
+        // is returned right away to be piped to the response.
+        const stream = new PassThrough();
+        this.client.send(new GetObjectCommand(params))
+            .then((data) => {
+                data.Body.on('error', (err) => stream.destroy(err));
+                return data.Body.pipe(stream);
+            })
+            .catch((err) => stream.destroy(err));
+
+        return stream;
+    }
+
+    /**
+     * Saves the length of a deferred upload in the `${file_id}.info` file.
+     *
+     * @param  {String}  file_id       id of the file
+     * @param  {String}  upload_length length of the upload
+     * @return {Promise<String>}       which resolves with the declared length
+     */
+    declareUploadLength(file_id, upload_length) {
+        return this._getMetadata(file_id)
+            .then((metadata) => {
+                const file = Object.assign({}, metadata.file, { upload_length });
+                delete file.upload_defer_length;
 
+                return this._saveMetadata(file, metadata.upload_id);
+            })
+            .then(() => {
+                log(`[${file_id}] upload length declared: ${upload_length}`);
+
+                return upload_length;
+            })
+            .catch((err) => {
+                return this._clearCache(file_id).then(() => {
                     throw err;
                 });
-        });
+            });
+    }
+
+    /**
+     * Checks that all the partial uploads but the last one are at least
+     * 5MB, the minimum size of the parts of a multipart upload.
+     *
+     * @param  {Array}   partial_ids ids of the partial uploads, in order
+     * @return {Promise}
+     */
+    _checkPartialSizes(partial_ids) {
+        return Promise
+            .all(partial_ids.slice(0, -1).map((partial_id) => {
+                return this.client.send(new HeadObjectCommand({
+                    Bucket: this.bucket_name,
+                    Key: partial_id,
+                }));
+            }))
+            .then((objects) => {
+                if (objects.some((object) => object.ContentLength < MIN_PART_SIZE)) {
+                    throw ERRORS.PARTIAL_UPLOAD_TOO_SMALL;
+                }
+
+                return undefined;
+            });
+    }
+
+    /**
+     * Copies the finished partial uploads into the multipart upload of the
+     * final upload with `uploadPartCopy` and completes it. Like any part of
+     * a multipart upload, all partial uploads but the last one must be at
+     * least 5MB.
+     * A final upload which cannot be concatenated cannot be resumed either,
+     * so it is removed along with its multipart upload.
+     *
+     * @param  {String}          file_id     id of the final upload
+     * @param  {Array}           partial_ids ids of the partial uploads, in order
+     * @return {Promise<Number>}             which resolves with the final offset
+     */
+    concatenate(file_id, partial_ids) {
+        return this._getMetadata(file_id)
+            .then((metadata) => {
+                return this._checkPartialSizes(partial_ids)
+                    .then(() => Promise.all(partial_ids.map((partial_id, index) => {
+                        return this.client
+                            .send(new UploadPartCopyCommand({
+                                Bucket: this.bucket_name,
+                                Key: file_id,
+                                UploadId: metadata.upload_id,
+                                PartNumber: index + 1,
+                                CopySource: `${this.bucket_name}/${encodeURIComponent(partial_id)}`,
+                            }))
+                            .then((data) => {
+                                return {
+                                    ETag: data.CopyPartResult.ETag,
+                                    PartNumber: index + 1,
+                                };
+                            });
+                    })))
+                    .then((parts) => this._finishMultipartUpload(metadata, parts))
+                    .then((location) => {
+                        log(`[${file_id}] finished concatenating ${partial_ids.length} uploads: ${location}`);
+
+                        return this._completeMetadata(file_id)
+                            .then(() => {
+                                this.emit(EVENTS.EVENT_UPLOAD_COMPLETE, {
+                                    file: Object.assign({}, metadata.file, { location }),
+                                });
+
+                                return parseInt(metadata.file.upload_length, 10);
+                            });
+                    })
+                    .catch((err) => {
+                        log(`[${file_id}] concatenation failed, removing the final upload`, err);
+
+                        return this.remove(file_id)
+                            .catch((remove_err) => log(`[${file_id}] could not remove the final upload`, remove_err))
+                            .then(() => Promise.reject(err));
+                    });
+            });
+    }
+
+    getOffset(file_id, with_parts = false) {
+        return this._getMetadata(file_id)
+            .then((metadata) => {
+                return Promise
+                    .all([
+                        this._retrieveParts(file_id, metadata.upload_id),
+                        this._getIncompletePartSize(file_id),
+                    ])
+                    .then(([all_parts, incomplete_size]) => {
+                        const parts = this._contiguousParts(all_parts);
+                        const output = Object.assign({}, metadata.file, {
+                            size: parts.reduce((size, part) => size + parseInt(part.Size, 10), 0) + incomplete_size,
+                        });
+
+                        if (with_parts) {
+                            output.parts = parts;
+                        }
+
+                        return output;
+                    })
+                    .catch((err) => {
+                        if (err.name !== 'NoSuchUpload') {
+                            throw err;
+                        }
+
+                        // once completed, the multipart upload no longer
+                        // exists and the offset is the size of the object
+                        return this.client
+                            .send(new HeadObjectCommand({
+                                Bucket: this.bucket_name,
+                                Key: file_id,
+                            }))
+                            .then((data) => Object.assign({}, metadata.file, {
+                                size: data.ContentLength,
+                            }));
+                    });
+            })
+            .catch((err) => {
+                // The .info file of completed uploads may have been removed
+                if (err.name !== 'NotFound') {
+                    throw err;
+                }
+
+                return this._getCompletedFile(file_id);
+            })
+            .catch((err) => {
+                if (['NotFound', 'NoSuchUpload'].includes(err.name)) {
+                    console.error(err);
+                    console.warn('[S3Store] getOffset: No file found.');
+
+                    throw ERRORS.FILE_NOT_FOUND;
+                }
+
+                throw err;
+            });
     }
 }
 
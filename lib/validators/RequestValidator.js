@@ -39,6 +39,27 @@ class RequestValidator {
         );
     }
 
+    // The Upload-Checksum header MUST consist of the name of the used checksum
+    // algorithm and the Base64 encoded checksum separated by a space.
+    static _invalidUploadChecksumHeader(value) {
+        const parts = value.trim().split(' ');
+        return parts.length !== 2 || parts[0] === '' || !/^[A-Za-z0-9+/]+={0,2}$/.test(parts[1]);
+    }
+
+    // The Upload-Concat header MUST be either `partial` or `final` followed
+    // by a semicolon and the space separated URLs of the partial uploads.
+    static _invalidUploadConcatHeader(value) {
+        if (value === 'partial') {
+            return false;
+        }
+
+        return !/^final;\s*\S+(\s+\S+)*\s*$/.test(value);
+    }
+
+    static _invalidUploadExpiresHeader() {
+        return false;
+    }
+
     static _invalidXRequestedWithHeader() {
         return false;
     }
@@ -59,6 +80,10 @@ class RequestValidator {
         return false;
     }
 
+    static _invalidTusChecksumAlgorithmHeader() {
+        return false;
+    }
+
     static _invalidXHttpMethodOverrideHeader() {
         return false;
     }
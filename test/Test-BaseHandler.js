@@ -6,6 +6,8 @@ const httpMocks = require('node-mocks-http');
 const BaseHandler = require('../lib/handlers/BaseHandler');
 const DataStore = require('../lib/stores/DataStore');
 const http = require('http');
+const stream = require('stream');
+const EventEmitter = require('events');
 
 const ALLOWED_METHODS = 'POST, HEAD, PATCH, OPTIONS';
 
@@ -59,4 +61,48 @@ describe('BaseHandler', () => {
         assert.equal(output.match(/Hello tus!$/).index, output.length - body.length)
         done();
     });
+
+    it('getFileIdFromUrl() should extract the id of the upload', () => {
+        assert.equal(handler.getFileIdFromUrl('/files/1234'), '1234');
+        assert.equal(handler.getFileIdFromUrl('/api/files/uploads/1234', '/api'), 'uploads/1234');
+    });
+
+    it('getFileIdFromUrl() should reject ids escaping the directory of the store', () => {
+        assert.equal(handler.getFileIdFromUrl('/files/../victim'), false);
+        assert.equal(handler.getFileIdFromUrl('/files/uploads/../../victim'), false);
+        assert.equal(handler.getFileIdFromUrl('/files/./1234'), false);
+        assert.equal(handler.getFileIdFromUrl('/files/..\\victim'), false);
+    });
+
+    it('withLock() should run the callbacks for an upload one at a time', () => {
+        const order = [];
+        const first = handler.withLock('1234', () => {
+            return new Promise((resolve) => setTimeout(resolve, 10))
+                .then(() => order.push('first'));
+        });
+        const second = handler.withLock('1234', () => order.push('second'));
+
+        return Promise.all([first, second])
+            .then(() => assert.deepEqual(order, ['first', 'second']));
+    });
+
+    it('writeToStore() should stop writing when the lock is to be released', () => {
+        const body_store = new DataStore({ path: '/files' });
+        body_store.write = (stream) => new Promise((resolve) => {
+            let received = 0;
+            stream.on('data', (chunk) => {
+                received += chunk.length;
+            });
+            stream.on('end', () => resolve(received));
+        });
+        const body_handler = new BaseHandler(body_store);
+        const req = new stream.PassThrough();
+        const release = new EventEmitter();
+
+        const written = body_handler.writeToStore(req, '1234', 0, 0, undefined, release);
+        req.write('hello');
+        setTimeout(() => release.emit('release'), 10);
+
+        return written.then((offset) => assert.equal(offset, 5));
+    });
 });
@@ -0,0 +1,50 @@
+/* eslint-env node, mocha */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const Checksum = require('../lib/models/Checksum');
+
+describe('Checksum', () => {
+    const data = Buffer.from('123456789');
+
+    describe('constructor', () => {
+        it('must require a supported algorithm', () => {
+            assert.throws(() => { new Checksum('sha512', ''); }, Error);
+        });
+    });
+
+    describe('parse', () => {
+        it('should split the algorithm from the value', () => {
+            assert.deepEqual(Checksum.parse('sha1 Kq5sNclPz7QV2+lfQIuc6R7oRu0='), {
+                algorithm: 'sha1',
+                value: 'Kq5sNclPz7QV2+lfQIuc6R7oRu0=',
+            });
+        });
+    });
+
+    describe('matches', () => {
+        ['md5', 'sha1', 'sha256'].forEach((algorithm) => {
+            it(`should verify ${algorithm} checksums`, () => {
+                const value = crypto.createHash(algorithm).update(data).digest('base64');
+                const checksum = new Checksum(algorithm, value);
+                checksum.update(data.slice(0, 4));
+                checksum.update(data.slice(4));
+                assert.equal(checksum.matches(), true);
+            });
+        });
+
+        it('should verify crc32 checksums', () => {
+            const checksum = new Checksum('crc32', Buffer.from('cbf43926', 'hex').toString('base64'));
+            checksum.update(data);
+            assert.equal(checksum.matches(), true);
+        });
+
+        it('should reject checksums that do not match', () => {
+            const checksum = new Checksum('sha1', 'Kq5sNclPz7QV2+lfQIuc6R7oRu0=');
+            checksum.update(Buffer.from('something else'));
+            assert.equal(checksum.matches(), false);
+        });
+    });
+});
@@ -20,6 +20,27 @@ describe('DataStore', () => {
         done();
     });
 
+    it('constructor must require expirationPeriodInMilliseconds to be a non negative number, if it is provided', (done) => {
+        assert.throws(() => { new DataStore({ path: '/files', expirationPeriodInMilliseconds: -1 }) }, Error);
+        assert.throws(() => { new DataStore({ path: '/files', expirationPeriodInMilliseconds: 'soon' }) }, Error);
+        done();
+    });
+
+    it('constructor must require maxSize to be a non negative number or a function, if it is provided', (done) => {
+        assert.throws(() => { new DataStore({ path: '/files', maxSize: -1 }) }, Error);
+        assert.throws(() => { new DataStore({ path: '/files', maxSize: 'large' }) }, Error);
+        done();
+    });
+
+    it('getMaxSize should resolve 0 without a maxSize', () => {
+        return datastore.getMaxSize({}).should.be.fulfilledWith(0);
+    });
+
+    it('getMaxSize should resolve the result of a maxSize function', () => {
+        const store = new DataStore({ path: '/files', maxSize: (req) => Promise.resolve(req.headers['x-max']) });
+        return store.getMaxSize({ headers: { 'x-max': '1024' } }).should.be.fulfilledWith(1024);
+    });
+
     it('relativeLocation option must be boolean', (done) => {
         assert.equal(typeof datastore.relativeLocation, 'boolean');
         done();
@@ -58,4 +79,34 @@ describe('DataStore', () => {
         datastore.getOffset.should.be.type('function');
         done();
     });
+
+    it('must have a deleteExpired method', (done) => {
+        datastore.should.have.property('deleteExpired');
+        datastore.deleteExpired.should.be.type('function');
+        done();
+    });
+
+    it('getExpiration should be null without an expiration period', (done) => {
+        const file = new File('1234', 1000);
+        assert.equal(datastore.getExpiration(file), null);
+        done();
+    });
+
+    it('getExpiration should add the expiration period to the creation date', (done) => {
+        const expiring_store = new DataStore({ path: '/files', expirationPeriodInMilliseconds: 1000 });
+        const file = new File('1234', 1000);
+        const expected = new Date(file.creation_date).getTime() + 1000;
+        assert.equal(expiring_store.getExpiration(file).getTime(), expected);
+        done();
+    });
+
+    it('must have a remove method', (done) => {
+        datastore.should.have.property('remove');
+        datastore.remove.should.be.type('function');
+        done();
+    });
+
+    it('should be ready', () => {
+        return datastore.ready();
+    });
 });
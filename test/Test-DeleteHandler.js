@@ -0,0 +1,67 @@
+/* eslint-env node, mocha */
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const should = require('should');
+const DeleteHandler = require('../lib/handlers/DeleteHandler');
+const DataStore = require('../lib/stores/DataStore');
+const EVENTS = require('../lib/constants').EVENTS;
+
+describe('DeleteHandler', () => {
+    const path = '/files';
+    let res = null;
+    const store = new DataStore({ path });
+    const handler = new DeleteHandler(store);
+    const req = { headers: {} };
+
+    beforeEach((done) => {
+        res = new http.ServerResponse({ method: 'DELETE' });
+        done();
+    });
+
+    it('should 404 if no file id match', (done) => {
+        req.url = '/null';
+        handler.send(req, res);
+        assert.equal(res.statusCode, 404);
+        done();
+    });
+
+    it('should 404 if no file ID', (done) => {
+        req.url = `${path}/`;
+        handler.send(req, res);
+        assert.equal(res.statusCode, 404);
+        done();
+    });
+
+    it('should 404 without removing anything if the file id escapes the store directory', () => {
+        const traversal_store = new DataStore({ path });
+        traversal_store.remove = () => Promise.reject(new Error('remove must not be called'));
+        const traversal_handler = new DeleteHandler(traversal_store);
+
+        req.url = `${path}/../victim`;
+        return Promise.resolve(traversal_handler.send(req, res))
+            .then(() => {
+                assert.equal(res.statusCode, 404);
+            });
+    });
+
+    it('must acknowledge successful DELETE requests with the 204', () => {
+        req.url = `${path}/1234`;
+        return handler.send(req, res)
+            .then(() => {
+                assert.equal(res.statusCode, 204);
+            });
+    });
+
+    it(`must fire the ${EVENTS.EVENT_FILE_DELETED} event`, (done) => {
+        const deleteHandler = new DeleteHandler(store);
+        deleteHandler.on(EVENTS.EVENT_FILE_DELETED, (event) => {
+            assert.equal(event.file_id, '1234');
+            done();
+        });
+
+        req.url = `${path}/1234`;
+        deleteHandler.send(req, res);
+    });
+});
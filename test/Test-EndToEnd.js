@@ -7,16 +7,20 @@ const request = require('supertest');
 const exec = require('child_process').exec;
 const path = require('path');
 const fs = require('fs');
+const http = require('http');
 const Server = require('../lib/Server');
 const FileStore = require('../lib/stores/FileStore');
 const GCSDataStore = require('../lib/stores/GCSDataStore');
+const S3Store = require('../lib/stores/S3Store');
 const { Storage } = require('@google-cloud/storage');
+const { CreateBucketCommand } = require('@aws-sdk/client-s3');
 const TUS_RESUMABLE = require('../lib/constants').TUS_RESUMABLE;
 
 const STORE_PATH = '/files';
 const PROJECT_ID = 'vimeo-open-source';
 const KEYFILE = path.resolve(__dirname, '../keyfile.json');
 const BUCKET = 'tus-node-server';
+const S3_BUCKET = process.env.S3_BUCKET || 'tus-node-server';
 
 const FILES_DIRECTORY = path.resolve(__dirname, `..${STORE_PATH}`);
 const TEST_FILE_SIZE = 960244;
@@ -38,6 +42,12 @@ const deleteFile = (file_name) => {
     });
 };
 
+const parseBuffer = (res, callback) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
 describe('EndToEnd', () => {
     let server;
     let listener;
@@ -187,6 +197,41 @@ describe('EndToEnd', () => {
                 .end(done);
             });
 
+            it('should declare the length of the deferred file', (done) => {
+                agent.patch(`${STORE_PATH}/${deferred_file_id}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .set('Upload-Offset', 0)
+                .set('Upload-Length', TEST_FILE_SIZE)
+                .set('Content-Type', 'application/offset+octet-stream')
+                .expect(204)
+                .expect('Upload-Offset', '0')
+                .expect('Tus-Resumable', TUS_RESUMABLE)
+                .end(done);
+            });
+
+            it('should return the declared length of the deferred file', (done) => {
+                agent.head(`${STORE_PATH}/${deferred_file_id}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .expect(200)
+                .expect('Upload-Length', `${TEST_FILE_SIZE}`)
+                .expect('Tus-Resumable', TUS_RESUMABLE)
+                .end((err, res) => {
+                    assert.equal(res.headers['upload-defer-length'], undefined);
+                    done(err);
+                });
+            });
+
+            it('should 400 changing the length of the deferred file', (done) => {
+                agent.patch(`${STORE_PATH}/${deferred_file_id}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .set('Upload-Offset', 0)
+                .set('Upload-Length', TEST_FILE_SIZE + 1)
+                .set('Content-Type', 'application/offset+octet-stream')
+                .expect(400)
+                .expect('Tus-Resumable', TUS_RESUMABLE)
+                .end(done);
+            });
+
             it('should upload the file', (done) => {
                 const read_stream = fs.createReadStream(TEST_FILE_PATH);
                 const write_stream = agent.patch(`${STORE_PATH}/${file_id}`)
@@ -224,6 +269,336 @@ describe('EndToEnd', () => {
                 .end(done);
             });
         });
+
+        describe('GET', () => {
+            it('should 404 unfinished uploads', (done) => {
+                agent.get(`${STORE_PATH}/${deferred_file_id}`)
+                .expect(404)
+                .end(done);
+            });
+
+            it('should download the uploaded file', (done) => {
+                agent.get(`${STORE_PATH}/${file_id}`)
+                .buffer(true)
+                .parse(parseBuffer)
+                .expect(200)
+                .expect('Content-Length', `${TEST_FILE_SIZE}`)
+                .expect('Content-Type', 'application/octet-stream')
+                .end((err, res) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    assert.equal(Buffer.compare(res.body, fs.readFileSync(TEST_FILE_PATH)), 0);
+                    return done();
+                });
+            });
+
+            it('should download a range of the uploaded file', (done) => {
+                agent.get(`${STORE_PATH}/${file_id}`)
+                .set('Range', 'bytes=100-199')
+                .buffer(true)
+                .parse(parseBuffer)
+                .expect(206)
+                .expect('Content-Length', '100')
+                .expect('Content-Range', `bytes 100-199/${TEST_FILE_SIZE}`)
+                .end((err, res) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    assert.equal(Buffer.compare(res.body, fs.readFileSync(TEST_FILE_PATH).slice(100, 200)), 0);
+                    return done();
+                });
+            });
+        });
+
+        describe('DELETE', () => {
+            it('should 404 paths that do not exist', (done) => {
+                agent.delete(`${STORE_PATH}/dont_exist`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .expect(404)
+                .expect('Tus-Resumable', TUS_RESUMABLE)
+                .end(done);
+            });
+
+            it('should 404 ids escaping the directory of the store, without removing anything', (done) => {
+                const victim = path.resolve(FILES_DIRECTORY, '../victim');
+                fs.writeFileSync(victim, 'do not delete');
+
+                // Sent raw, as clients would normalize the path
+                const req = http.request({
+                    port: listener.address().port,
+                    method: 'DELETE',
+                    path: `${STORE_PATH}/../victim`,
+                    headers: { 'Tus-Resumable': TUS_RESUMABLE },
+                }, (res) => {
+                    res.resume();
+                    const exists = fs.existsSync(victim);
+                    fs.unlink(victim, () => {
+                        assert.equal(res.statusCode, 404);
+                        assert.equal(exists, true);
+                        done();
+                    });
+                });
+                req.on('error', done);
+                req.end();
+            });
+
+            it('should terminate the upload', (done) => {
+                agent.delete(`${STORE_PATH}/${deferred_file_id}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .expect(204)
+                .expect('Tus-Resumable', TUS_RESUMABLE)
+                .end(done);
+            });
+
+            it('should 404 the terminated upload', (done) => {
+                agent.head(`${STORE_PATH}/${deferred_file_id}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .expect(404)
+                .expect('Tus-Resumable', TUS_RESUMABLE)
+                .end(done);
+            });
+        });
+    });
+
+    describe('FileStore with creation-with-upload', () => {
+        let file_id;
+        before(() => {
+            server = new Server();
+            server.datastore = new FileStore({
+                path: STORE_PATH,
+            });
+            listener = server.listen();
+            agent = request.agent(listener);
+        });
+
+        after((done) => {
+            rimraf(FILES_DIRECTORY, (err) => {
+                server.datastore.configstore.clear();
+                listener.close();
+                return done(err);
+            });
+        });
+
+        describe('POST', () => {
+            it('should create a file with the bytes of the request body', (done) => {
+                agent.post(STORE_PATH)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .set('Upload-Length', TEST_FILE_SIZE)
+                .set('Content-Type', 'application/offset+octet-stream')
+                .send(fs.readFileSync(TEST_FILE_PATH))
+                .expect(201)
+                .expect('Upload-Offset', `${TEST_FILE_SIZE}`)
+                .end((err, res) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    file_id = res.headers.location.split('/').pop();
+                    return done();
+                });
+            });
+        });
+
+        describe('HEAD', () => {
+            it('should return the offset of the bytes sent on creation', (done) => {
+                agent.head(`${STORE_PATH}/${file_id}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .expect(200)
+                .expect('Upload-Offset', `${TEST_FILE_SIZE}`)
+                .expect('Upload-Length', `${TEST_FILE_SIZE}`)
+                .end(done);
+            });
+        });
+    });
+
+    describe('FileStore with maxSize', () => {
+        const MAX_SIZE = 1024;
+        let deferred_file_id;
+        before(() => {
+            server = new Server({ maxSize: MAX_SIZE });
+            server.datastore = new FileStore({
+                path: STORE_PATH,
+            });
+            listener = server.listen();
+            agent = request.agent(listener);
+        });
+
+        after((done) => {
+            rimraf(FILES_DIRECTORY, (err) => {
+                server.datastore.configstore.clear();
+                listener.close();
+                return done(err);
+            });
+        });
+
+        describe('OPTIONS', () => {
+            it('should advertise the maximum size', (done) => {
+                agent.options(STORE_PATH)
+                .expect(204)
+                .expect('Tus-Max-Size', `${MAX_SIZE}`)
+                .end(done);
+            });
+        });
+
+        describe('POST', () => {
+            it('should 413 uploads larger than the maximum size', (done) => {
+                agent.post(STORE_PATH)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .set('Upload-Length', TEST_FILE_SIZE)
+                .expect(413)
+                .expect('Tus-Resumable', TUS_RESUMABLE)
+                .end(done);
+            });
+
+            it('should create a file with a deferred length', (done) => {
+                agent.post(STORE_PATH)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .set('Upload-Defer-Length', 1)
+                .expect(201)
+                .end((err, res) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    deferred_file_id = res.headers.location.split('/').pop();
+                    return done();
+                });
+            });
+        });
+
+        describe('PATCH', () => {
+            it('should 413 writing beyond the maximum size', (done) => {
+                agent.patch(`${STORE_PATH}/${deferred_file_id}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .set('Upload-Offset', 0)
+                .set('Content-Type', 'application/offset+octet-stream')
+                .send(fs.readFileSync(TEST_FILE_PATH))
+                .expect(413)
+                .expect('Tus-Resumable', TUS_RESUMABLE)
+                .end(done);
+            });
+
+            it('should keep the bytes up to the maximum size', (done) => {
+                agent.head(`${STORE_PATH}/${deferred_file_id}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .expect(200)
+                .expect('Upload-Offset', `${MAX_SIZE}`)
+                .end(done);
+            });
+        });
+    });
+
+    describe('FileStore with concatenation', () => {
+        const partial_ids = [];
+        let final_id;
+        before(() => {
+            server = new Server();
+            server.datastore = new FileStore({
+                path: STORE_PATH,
+            });
+            listener = server.listen();
+            agent = request.agent(listener);
+        });
+
+        after((done) => {
+            rimraf(FILES_DIRECTORY, (err) => {
+                server.datastore.configstore.clear();
+                listener.close();
+                return done(err);
+            });
+        });
+
+        describe('POST', () => {
+            it('should create partial uploads', (done) => {
+                const create = () => new Promise((resolve, reject) => {
+                    agent.post(STORE_PATH)
+                    .set('Tus-Resumable', TUS_RESUMABLE)
+                    .set('Upload-Length', TEST_FILE_SIZE)
+                    .set('Upload-Concat', 'partial')
+                    .expect(201)
+                    .end((err, res) => {
+                        if (err) {
+                            return reject(err);
+                        }
+                        partial_ids.push(res.headers.location.split('/').pop());
+                        return resolve();
+                    });
+                });
+
+                create().then(create).then(() => done()).catch(done);
+            });
+
+            it('should 400 a final upload of unfinished partial uploads', (done) => {
+                agent.post(STORE_PATH)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .set('Upload-Concat', `final;${partial_ids.map((id) => `${STORE_PATH}/${id}`).join(' ')}`)
+                .expect(400)
+                .end(done);
+            });
+        });
+
+        describe('PATCH', () => {
+            it('should upload the partial uploads', (done) => {
+                const upload = (id) => new Promise((resolve, reject) => {
+                    agent.patch(`${STORE_PATH}/${id}`)
+                    .set('Tus-Resumable', TUS_RESUMABLE)
+                    .set('Upload-Offset', 0)
+                    .set('Content-Type', 'application/offset+octet-stream')
+                    .send(fs.readFileSync(TEST_FILE_PATH))
+                    .expect(204)
+                    .expect('Upload-Offset', `${TEST_FILE_SIZE}`)
+                    .end((err) => (err ? reject(err) : resolve()));
+                });
+
+                Promise.all(partial_ids.map(upload)).then(() => done()).catch(done);
+            });
+        });
+
+        describe('POST', () => {
+            it('should create the final upload', (done) => {
+                agent.post(STORE_PATH)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .set('Upload-Concat', `final;${partial_ids.map((id) => `${STORE_PATH}/${id}`).join(' ')}`)
+                .expect(201)
+                .end((err, res) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    final_id = res.headers.location.split('/').pop();
+                    return done();
+                });
+            });
+        });
+
+        describe('HEAD', () => {
+            it('should return Upload-Concat for partial uploads', (done) => {
+                agent.head(`${STORE_PATH}/${partial_ids[0]}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .expect(200)
+                .expect('Upload-Concat', 'partial')
+                .end(done);
+            });
+
+            it('should return the length and offset of the final upload', (done) => {
+                agent.head(`${STORE_PATH}/${final_id}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .expect(200)
+                .expect('Upload-Offset', `${TEST_FILE_SIZE * 2}`)
+                .expect('Upload-Length', `${TEST_FILE_SIZE * 2}`)
+                .expect('Upload-Concat', /^final;/)
+                .end(done);
+            });
+        });
+
+        describe('PATCH', () => {
+            it('should 403 the final upload', (done) => {
+                agent.patch(`${STORE_PATH}/${final_id}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .set('Upload-Offset', TEST_FILE_SIZE * 2)
+                .set('Content-Type', 'application/offset+octet-stream')
+                .expect(403)
+                .end(done);
+            });
+        });
     });
 
     describe('FileStore with relativeLocation', () => {
@@ -454,4 +829,187 @@ describe('EndToEnd', () => {
             });
         });
     });
+
+    describe('S3Store', () => {
+        // Runs against any S3 compatible server, eg. a local MinIO:
+        //     docker run -p 9000:9000 minio/minio server /data
+        //     S3_ENDPOINT=http://localhost:9000 AWS_ACCESS_KEY_ID=minioadmin AWS_SECRET_ACCESS_KEY=minioadmin npm test
+        if (!process.env.S3_ENDPOINT) {
+            return;
+        }
+
+        let file_id;
+        let deferred_file_id;
+        const files_created = [];
+        before(() => {
+            server = new Server();
+            server.datastore = new S3Store({
+                path: STORE_PATH,
+                bucket: S3_BUCKET,
+                endpoint: process.env.S3_ENDPOINT,
+                s3ForcePathStyle: true,
+                region: process.env.AWS_REGION || 'us-east-1',
+            });
+            listener = server.listen();
+            agent = request.agent(listener);
+
+            return server.datastore.client.send(new CreateBucketCommand({ Bucket: S3_BUCKET }))
+                .catch((err) => {
+                    if (!['BucketAlreadyOwnedByYou', 'BucketAlreadyExists'].includes(err.name)) {
+                        throw err;
+                    }
+                });
+        });
+
+        after(() => {
+            listener.close();
+
+            // Remove the uploads from the bucket for cleanup
+            return Promise.all(files_created.map((id) => server.datastore.remove(id).catch(() => {})));
+        });
+
+        describe('HEAD', () => {
+            it('should 404 file ids that dont exist', (done) => {
+                agent.head(`${STORE_PATH}/dont_exist`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .expect(404)
+                .expect('Tus-Resumable', TUS_RESUMABLE)
+                .end(done);
+            });
+        });
+
+        describe('POST', () => {
+            it('should create a file and respond with its location', (done) => {
+                agent.post(STORE_PATH)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .set('Upload-Length', TEST_FILE_SIZE)
+                .set('Upload-Metadata', TEST_METADATA)
+                .expect(201)
+                .end((err, res) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    assert.equal('location' in res.headers, true);
+                    // Save the id for subsequent tests
+                    file_id = res.headers.location.split('/').pop();
+                    files_created.push(file_id);
+                    return done();
+                });
+            });
+
+            it('should create a file with a deferred length', (done) => {
+                agent.post(STORE_PATH)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .set('Upload-Defer-Length', 1)
+                .expect(201)
+                .end((err, res) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    deferred_file_id = res.headers.location.split('/').pop();
+                    files_created.push(deferred_file_id);
+                    return done();
+                });
+            });
+        });
+
+        describe('HEAD', () => {
+            it('should return a starting offset, metadata for the new file', (done) => {
+                agent.head(`${STORE_PATH}/${file_id}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .expect(200)
+                .expect('Upload-Metadata', TEST_METADATA)
+                .expect('Upload-Offset', '0')
+                .expect('Upload-Length', `${TEST_FILE_SIZE}`)
+                .end(done);
+            });
+
+            it('should return the defer length of the new deferred file', (done) => {
+                agent.head(`${STORE_PATH}/${deferred_file_id}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .expect(200)
+                .expect('Upload-Offset', '0')
+                .expect('Upload-Defer-Length', '1')
+                .end(done);
+            });
+        });
+
+        describe('PATCH', () => {
+            it('should 404 paths that do not exist', (done) => {
+                agent.patch(`${STORE_PATH}/dont_exist`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .set('Upload-Offset', 0)
+                .set('Content-Type', 'application/offset+octet-stream')
+                .expect(404)
+                .end(done);
+            });
+
+            it('should upload the file', (done) => {
+                agent.patch(`${STORE_PATH}/${file_id}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .set('Upload-Offset', 0)
+                .set('Content-Type', 'application/offset+octet-stream')
+                .send(fs.readFileSync(TEST_FILE_PATH))
+                .expect(204)
+                .expect('Upload-Offset', `${TEST_FILE_SIZE}`)
+                .end(done);
+            });
+
+            it('should upload the first chunk of the deferred file', (done) => {
+                agent.patch(`${STORE_PATH}/${deferred_file_id}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .set('Upload-Offset', 0)
+                .set('Content-Type', 'application/offset+octet-stream')
+                .send(fs.readFileSync(TEST_FILE_PATH).slice(0, 1000))
+                .expect(204)
+                .expect('Upload-Offset', '1000')
+                .end(done);
+            });
+
+            it('should finish the deferred file once its length is declared', (done) => {
+                agent.patch(`${STORE_PATH}/${deferred_file_id}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .set('Upload-Offset', 1000)
+                .set('Upload-Length', TEST_FILE_SIZE)
+                .set('Content-Type', 'application/offset+octet-stream')
+                .send(fs.readFileSync(TEST_FILE_PATH).slice(1000))
+                .expect(204)
+                .expect('Upload-Offset', `${TEST_FILE_SIZE}`)
+                .end(done);
+            });
+        });
+
+        describe('GET', () => {
+            it('should download the uploaded file', (done) => {
+                agent.get(`${STORE_PATH}/${deferred_file_id}`)
+                .buffer(true)
+                .parse(parseBuffer)
+                .expect(200)
+                .expect('Content-Length', `${TEST_FILE_SIZE}`)
+                .end((err, res) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    assert.equal(Buffer.compare(res.body, fs.readFileSync(TEST_FILE_PATH)), 0);
+                    return done();
+                });
+            });
+        });
+
+        describe('DELETE', () => {
+            it('should terminate the upload', (done) => {
+                agent.delete(`${STORE_PATH}/${file_id}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .expect(204)
+                .end(done);
+            });
+
+            it('should 404 the terminated upload', (done) => {
+                agent.head(`${STORE_PATH}/${file_id}`)
+                .set('Tus-Resumable', TUS_RESUMABLE)
+                .expect(404)
+                .end(done);
+            });
+        });
+    });
 });
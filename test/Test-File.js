@@ -29,5 +29,10 @@ describe('File', () => {
             assert.equal(file.upload_defer_length, upload_defer_length);
             assert.equal(file.upload_metadata, upload_metadata);
         });
+
+        it('should set the creation date', () => {
+            const file = new File(Uid.rand(), 1234);
+            assert.equal(isNaN(Date.parse(file.creation_date)), false);
+        });
     });
 });
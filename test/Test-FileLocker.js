@@ -0,0 +1,109 @@
+/* eslint-env node, mocha */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const should = require('should');
+const FileLocker = require('../lib/lockers/FileLocker');
+
+describe('FileLocker', () => {
+    const directory = path.join(os.tmpdir(), `tus-locks-test-${process.pid}`);
+    const options = { directory, retryIntervalInMilliseconds: 5 };
+
+    after((done) => {
+        rimraf(directory, done);
+    });
+
+    it('should create the lock file while the lock is held', () => {
+        const locker = new FileLocker(options);
+        return locker.lock('1234')
+            .then(() => {
+                assert.equal(fs.existsSync(path.join(directory, '1234.lock')), true);
+                return locker.unlock('1234');
+            })
+            .then(() => {
+                assert.equal(fs.existsSync(path.join(directory, '1234.lock')), false);
+            });
+    });
+
+    it('should share the lock between lockers of the same directory', () => {
+        const holder = new FileLocker(options);
+        const waiter = new FileLocker(options);
+        let release_requested = false;
+
+        return holder.lock('1234', () => {
+            release_requested = true;
+            holder.unlock('1234');
+        })
+            .then(() => waiter.lock('1234'))
+            .then(() => {
+                assert.equal(release_requested, true);
+                return waiter.unlock('1234');
+            });
+    });
+
+    it('should reject with 423 when the lock is not released in time', () => {
+        const holder = new FileLocker(options);
+        const waiter = new FileLocker(Object.assign({ acquireLockTimeoutInMilliseconds: 20 }, options));
+
+        return holder.lock('1234')
+            .then(() => waiter.lock('1234'))
+            .should.be.rejectedWith({ status_code: 423 })
+            .then(() => holder.unlock('1234'));
+    });
+
+    it('should take over stale locks', () => {
+        const locker = new FileLocker(Object.assign({ staleTimeoutInMilliseconds: 1000 }, options));
+        const lock_path = path.join(directory, 'stale.lock');
+        const past = new Date(Date.now() - 2000);
+        fs.writeFileSync(lock_path, '');
+        fs.utimesSync(lock_path, past, past);
+
+        return locker.lock('stale')
+            .then(() => locker.unlock('stale'));
+    });
+
+    it('should let one waiter only take over a stale lock', () => {
+        const lockers = [0, 1, 2].map(() => new FileLocker(Object.assign({
+            staleTimeoutInMilliseconds: 1000,
+            acquireLockTimeoutInMilliseconds: 50,
+        }, options)));
+        const lock_path = path.join(directory, 'stale.lock');
+        const past = new Date(Date.now() - 2000);
+        fs.writeFileSync(lock_path, '');
+        fs.utimesSync(lock_path, past, past);
+
+        return Promise.all(lockers.map((locker) => locker.lock('stale').then(() => locker, () => null)))
+            .then((holders) => {
+                const holder = holders.filter((locker) => locker);
+                holder.length.should.equal(1);
+                return holder[0].unlock('stale');
+            });
+    });
+
+    it('should not remove a lock replaced since it was found stale', () => {
+        const holder = new FileLocker(options);
+        const waiter = new FileLocker(Object.assign({ staleTimeoutInMilliseconds: 1000 }, options));
+
+        return holder.lock('1234')
+            .then(() => waiter._takeOver(waiter._lockPath('1234')))
+            .then((created) => {
+                created.should.equal(false);
+                assert.equal(fs.existsSync(path.join(directory, '1234.lock')), true);
+                return holder.unlock('1234');
+            });
+    });
+
+    it('should lock ids containing slashes', () => {
+        const locker = new FileLocker(options);
+        return locker.lock('project/abc123')
+            .then(() => {
+                assert.equal(fs.existsSync(path.join(directory, 'project%2Fabc123.lock')), true);
+                return locker.unlock('project/abc123');
+            });
+    });
+});
@@ -5,11 +5,14 @@ const rimraf = require('rimraf');
 const assert = require('assert');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const exec = require('child_process').exec;
 const Server = require('../lib/Server');
 const DataStore = require('../lib/stores/DataStore');
 const FileStore = require('../lib/stores/FileStore');
 const File = require('../lib/models/File');
+const Checksum = require('../lib/models/Checksum');
+const ERRORS = require('../lib/constants').ERRORS;
 const EVENTS = require('../lib/constants').EVENTS;
 
 const STORE_PATH = '/files';
@@ -77,6 +80,11 @@ describe('FileStore', () => {
             done();
         });
 
+        it('must have a remove method', (done) => {
+            server.datastore.should.have.property('remove');
+            done();
+        });
+
         it('should create a directory for the files', (done) => {
             const stats = fs.lstatSync(FILES_DIRECTORY);
             assert.equal(stats.isDirectory(), true);
@@ -193,6 +201,162 @@ describe('FileStore', () => {
         });
     });
 
+    describe('declareUploadLength', () => {
+        it('should reject uploads that do not exist', () => {
+            return server.datastore.declareUploadLength('dont_exist', TEST_FILE_SIZE)
+                .should.be.rejectedWith({ status_code: 404 });
+        });
+
+        it(`should fire the ${EVENTS.EVENT_UPLOAD_COMPLETE} event for a deferred upload`, (done) => {
+            const file_store = new FileStore({ path: STORE_PATH });
+            file_store.on(EVENTS.EVENT_UPLOAD_COMPLETE, (event) => {
+                assert.equal(event.file.upload_length, TEST_FILE_SIZE);
+                event.file.should.not.have.property('upload_defer_length');
+                done();
+            });
+
+            const write_stream = fs.createReadStream(TEST_FILE_PATH);
+            write_stream.once('open', () => {
+                const req = { headers: { 'upload-defer-length': '1' }, url: STORE_PATH };
+                file_store.create(req)
+                    .then((newFile) => {
+                        return file_store.declareUploadLength(newFile.id, TEST_FILE_SIZE)
+                            .then(() => file_store.write(write_stream, newFile.id, 0));
+                    }).catch(done);
+            });
+        });
+    });
+
+    describe('write with checksum', () => {
+        const req = { headers: { 'upload-length': TEST_FILE_SIZE }, url: STORE_PATH };
+        const sha1 = (file_path) => crypto.createHash('sha1').update(fs.readFileSync(file_path)).digest('base64');
+
+        it('should resolve the new offset when the checksum matches', (done) => {
+            const file_store = new FileStore({ path: STORE_PATH });
+            const checksum = new Checksum('sha1', sha1(TEST_FILE_PATH));
+            file_store.create(req)
+                .then((newFile) => {
+                    return file_store.write(fs.createReadStream(TEST_FILE_PATH), newFile.id, 0, checksum);
+                })
+                .then((offset) => {
+                    assert.equal(offset, TEST_FILE_SIZE);
+                    return done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with 460 and roll back the offset when the checksum does not match', (done) => {
+            const file_store = new FileStore({ path: STORE_PATH });
+            const checksum = new Checksum('sha1', 'Kq5sNclPz7QV2+lfQIuc6R7oRu0=');
+            let file_id;
+            file_store.create(req)
+                .then((newFile) => {
+                    file_id = newFile.id;
+                    return file_store.write(fs.createReadStream(TEST_FILE_PATH), file_id, 0, checksum);
+                })
+                .then(() => done(new Error('write should have been rejected')))
+                .catch((error) => {
+                    assert.equal(error, ERRORS.CHECKSUM_MISMATCH);
+                    return file_store.getOffset(file_id)
+                        .then((stats) => {
+                            assert.equal(stats.size, 0);
+                            return done();
+                        });
+                })
+                .catch(done);
+        });
+    });
+
+    describe('concatenate', () => {
+        it('should append the partial uploads to the final upload', (done) => {
+            const file_store = new FileStore({ path: STORE_PATH });
+            const partial_req = { headers: { 'upload-length': TEST_FILE_SIZE, 'upload-concat': 'partial' }, url: STORE_PATH };
+            const final_req = { headers: { 'upload-length': TEST_FILE_SIZE * 2 }, url: STORE_PATH };
+            Promise.all([file_store.create(partial_req), file_store.create(partial_req)])
+                .then((partials) => {
+                    return Promise.all(partials.map((partial) => {
+                        return file_store.write(fs.createReadStream(TEST_FILE_PATH), partial.id, 0);
+                    }))
+                        .then(() => file_store.create(final_req))
+                        .then((final) => file_store.concatenate(final.id, partials.map((partial) => partial.id)));
+                })
+                .then((offset) => {
+                    assert.equal(offset, TEST_FILE_SIZE * 2);
+                    return done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('remove', () => {
+        it('should reject non-existant files', () => {
+            const file_store = new FileStore({ path: STORE_PATH });
+            return file_store.remove('doesnt_exist')
+                    .should.be.rejectedWith(404);
+        });
+
+        it('should delete the file and its config', (done) => {
+            const file_store = new FileStore({ path: STORE_PATH });
+            const req = { headers: { 'upload-length': TEST_FILE_SIZE }, url: STORE_PATH };
+            file_store.create(req)
+                .then((newFile) => {
+                    return file_store.remove(newFile.id).then(() => newFile);
+                })
+                .then((newFile) => {
+                    assert.equal(fs.existsSync(`${FILES_DIRECTORY}/${newFile.id}`), false);
+                    assert.equal(file_store.configstore.get(newFile.id), undefined);
+                    return done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('deleteExpired', () => {
+        it('should remove unfinished uploads that have expired', (done) => {
+            const file_store = new FileStore({ path: STORE_PATH, expirationPeriodInMilliseconds: 1 });
+            const req = { headers: { 'upload-length': TEST_FILE_SIZE }, url: STORE_PATH };
+            file_store.create(req)
+                .then((newFile) => {
+                    return new Promise((resolve) => setTimeout(resolve, 10))
+                        .then(() => file_store.deleteExpired())
+                        .then((removed) => {
+                            assert.equal(removed >= 1, true);
+                            assert.equal(fs.existsSync(`${FILES_DIRECTORY}/${newFile.id}`), false);
+                            return done();
+                        });
+                })
+                .catch(done);
+        });
+
+        it('should keep uploads that have not expired', (done) => {
+            const file_store = new FileStore({ path: STORE_PATH, expirationPeriodInMilliseconds: 60000 });
+            const req = { headers: { 'upload-length': TEST_FILE_SIZE }, url: STORE_PATH };
+            file_store.create(req)
+                .then((newFile) => {
+                    return file_store.deleteExpired()
+                        .then(() => {
+                            assert.equal(fs.existsSync(`${FILES_DIRECTORY}/${newFile.id}`), true);
+                            return done();
+                        });
+                })
+                .catch(done);
+        });
+    });
+
+    describe('read', () => {
+        it('should read the requested range of the file', (done) => {
+            const file_store = new FileStore({ path: STORE_PATH });
+            const chunks = [];
+            file_store.read(TEST_FILE_NAME, { start: 10, end: 19 })
+                .on('data', (chunk) => chunks.push(chunk))
+                .on('error', done)
+                .on('end', () => {
+                    assert.deepEqual(Buffer.concat(chunks), fs.readFileSync(TEST_FILE_PATH).slice(10, 20));
+                    done();
+                });
+        });
+    });
+
     describe('getOffset', () => {
         it('should reject non-existant files', () => {
             const file_store = new FileStore({ path: STORE_PATH });
@@ -4,7 +4,10 @@
 const should = require('should');
 const assert = require('assert');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs');
+const http = require('http');
+const stream = require('stream');
 const Server = require('../lib/Server');
 const DataStore = require('../lib/stores/DataStore');
 const GCSDataStore = require('../lib/stores/GCSDataStore');
@@ -205,3 +208,421 @@ describe('GCSDataStore', () => {
         });
     });
 });
+
+/**
+ * In-memory stand-in for a GCS bucket, with resumable upload sessions
+ * served over http like GCS does. Sessions commit multiples of 256KiB
+ * until they receive the last byte of the upload.
+ */
+class FakeBucket {
+    constructor() {
+        this.name = BUCKET;
+        this.objects = new Map();
+        this.sessions = [];
+        this.session_requests = 0;
+        this.server = http.createServer((req, res) => this._handleSession(req, res));
+    }
+
+    listen() {
+        return new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    }
+
+    close() {
+        return new Promise((resolve) => this.server.close(resolve));
+    }
+
+    file(name) {
+        const bucket = this;
+        return {
+            name,
+            getMetadata(callback) {
+                const object = bucket.objects.get(name);
+                if (!object) {
+                    return callback(Object.assign(new Error('Not Found'), { code: 404 }));
+                }
+
+                return callback(null, { size: `${object.data.length}`, metadata: Object.assign({}, object.metadata) });
+            },
+            setMetadata(resource) {
+                const object = bucket.objects.get(name);
+                Object.keys(resource.metadata).forEach((key) => {
+                    if (resource.metadata[key] === null) {
+                        delete object.metadata[key];
+                    }
+                    else if (resource.metadata[key] !== undefined) {
+                        object.metadata[key] = `${resource.metadata[key]}`;
+                    }
+                });
+                return Promise.resolve([object.metadata]);
+            },
+            createResumableUpload(options) {
+                const id = bucket.sessions.push({ name, metadata: options.metadata.metadata, data: Buffer.alloc(0) }) - 1;
+                return Promise.resolve([`http://127.0.0.1:${bucket.server.address().port}/sessions/${id}`]);
+            },
+            createWriteStream(options) {
+                const chunks = [];
+                const writable = new stream.Writable({
+                    write(chunk, encoding, callback) {
+                        chunks.push(chunk);
+                        callback();
+                    },
+                });
+                writable.on('finish', () => bucket._setObject(name, Buffer.concat(chunks), options.metadata ? options.metadata.metadata : {}));
+                return writable;
+            },
+            delete(callback) {
+                const error = bucket.objects.delete(name) ? null : Object.assign(new Error('Not Found'), { code: 404 });
+                if (callback) {
+                    return callback(error);
+                }
+
+                return error ? Promise.reject(error) : Promise.resolve([]);
+            },
+        };
+    }
+
+    getFiles(query) {
+        const files = Array.from(this.objects.keys())
+            .filter((name) => name.startsWith(query.prefix))
+            .map((name) => Object.assign(this.file(name), {
+                metadata: { size: `${this.objects.get(name).data.length}` },
+            }));
+
+        return Promise.resolve([files]);
+    }
+
+    combine(sources, destination) {
+        sources.length.should.be.belowOrEqual(32);
+        this.combined = (this.combined || 0) + 1;
+        const data = Buffer.concat(sources.map((source) => this.objects.get(source.name).data));
+        this._setObject(destination.name, data, {});
+        return Promise.resolve([destination]);
+    }
+
+    _setObject(name, data, metadata) {
+        const custom = {};
+        Object.keys(metadata).forEach((key) => {
+            if (metadata[key] !== undefined) {
+                custom[key] = `${metadata[key]}`;
+            }
+        });
+        this.objects.set(name, { data, metadata: custom });
+    }
+
+    _handleSession(req, res) {
+        this.session_requests++;
+        const session = this.sessions[req.url.split('/').pop()];
+        if (!session || session.cancelled) {
+            res.writeHead(404);
+            return res.end();
+        }
+
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        return req.on('end', () => {
+            const [, start, total] = /^bytes (\*|\d+)-?\*?\/(\*|\d+)$/.exec(req.headers['content-range']);
+            const body = Buffer.concat(chunks);
+            if (start !== '*') {
+                session.data = Buffer.concat([session.data.slice(0, parseInt(start, 10)), body]);
+            }
+
+            if (total !== '*' && session.data.length >= parseInt(total, 10)) {
+                session.data = session.data.slice(0, parseInt(total, 10));
+                this._setObject(session.name, session.data, session.metadata);
+                res.writeHead(200);
+                return res.end('{}');
+            }
+
+            session.data = session.data.slice(0, session.data.length - (session.data.length % (256 * 1024)));
+            res.writeHead(308, session.data.length ? { Range: `bytes=0-${session.data.length - 1}` } : {});
+            return res.end();
+        });
+    }
+}
+
+describe('GCSDataStore resumable upload sessions', () => {
+    const KB = 1024;
+    let bucket;
+    let store;
+
+    class TestGCSDataStore extends GCSDataStore {
+        _getBucket() {
+            return bucket;
+        }
+    }
+
+    const patch = (file_id, buffer) => {
+        const req = new stream.PassThrough();
+        req.end(buffer);
+        return store.write(req, file_id);
+    };
+
+    beforeEach(() => {
+        bucket = new FakeBucket();
+        store = new TestGCSDataStore({ path: STORE_PATH, bucket: BUCKET });
+        return bucket.listen();
+    });
+
+    afterEach(() => bucket.close());
+
+    it('should keep the session URI in the metadata of the upload', () => {
+        return store.create({ headers: { 'upload-length': '10' } })
+            .then((file) => {
+                bucket.objects.get(file.id).metadata.resumable_uri.should.equal(`http://127.0.0.1:${bucket.server.address().port}/sessions/0`);
+                return store.getOffset(file.id);
+            })
+            .then((data) => data.should.have.properties({ size: 0, upload_length: 10 }));
+    });
+
+    it('should append the requests to the session and resolve the committed bytes', () => {
+        const buffer = crypto.randomBytes(600 * KB);
+        let completed = 0;
+        store.on(EVENTS.EVENT_UPLOAD_COMPLETE, (event) => {
+            completed++;
+            event.file.should.have.properties({ size: buffer.length, upload_length: buffer.length });
+        });
+
+        return store.create({ headers: { 'upload-length': `${buffer.length}` } })
+            .then((file) => patch(file.id, buffer.slice(0, 300 * KB))
+                .then((offset) => {
+                    offset.should.equal(256 * KB);
+                    return store.getOffset(file.id);
+                })
+                .then((data) => {
+                    data.size.should.equal(256 * KB);
+                    return patch(file.id, buffer.slice(data.size));
+                })
+                .then((offset) => {
+                    offset.should.equal(buffer.length);
+                    completed.should.equal(1);
+
+                    const object = bucket.objects.get(file.id);
+                    object.data.equals(buffer).should.equal(true);
+                    object.metadata.should.not.have.property('resumable_uri');
+                    object.metadata.upload_length.should.equal(`${buffer.length}`);
+
+                    return store.getOffset(file.id);
+                })
+                .then((data) => data.size.should.equal(buffer.length)));
+    });
+
+    it('should not send empty requests to the session', () => {
+        return store.create({ headers: { 'upload-length': '10' } })
+            .then((file) => {
+                const requests = bucket.session_requests;
+                return patch(file.id, Buffer.alloc(0))
+                    .then((offset) => {
+                        offset.should.equal(0);
+                        // Only the status of the session was queried
+                        bucket.session_requests.should.equal(requests + 1);
+                    });
+            });
+    });
+
+    it('should complete a deferred upload once its length is declared', () => {
+        const buffer = crypto.randomBytes(256 * KB);
+
+        return store.create({ headers: { 'upload-defer-length': '1' } })
+            .then((file) => patch(file.id, buffer)
+                .then((offset) => {
+                    offset.should.equal(buffer.length);
+                    return store.declareUploadLength(file.id, `${buffer.length}`);
+                })
+                .then(() => patch(file.id, Buffer.alloc(0)))
+                .then((offset) => {
+                    offset.should.equal(buffer.length);
+
+                    const object = bucket.objects.get(file.id);
+                    object.data.equals(buffer).should.equal(true);
+                    object.metadata.should.not.have.property('upload_defer_length');
+                }));
+    });
+
+    it('should emit the completion once, with the gs:// URI of the upload', () => {
+        const buffer = crypto.randomBytes(300 * KB);
+        const events = [];
+        store.on(EVENTS.EVENT_UPLOAD_COMPLETE, (event) => events.push(event));
+
+        return store.create({ headers: { 'upload-length': `${buffer.length}`, 'upload-metadata': 'filename YS50eHQ=' } })
+            .then((file) => patch(file.id, buffer.slice(0, 100 * KB))
+                .then((offset) => patch(file.id, buffer.slice(offset)))
+                .then((offset) => {
+                    offset.should.equal(buffer.length);
+                    return patch(file.id, Buffer.alloc(0));
+                })
+                .then((offset) => {
+                    offset.should.equal(buffer.length);
+                    events.length.should.equal(1);
+                    events[0].file.should.have.properties({
+                        id: file.id,
+                        upload_length: buffer.length,
+                        upload_metadata: 'filename YS50eHQ=',
+                        location: `gs://${BUCKET}/${file.id}`,
+                    });
+                }));
+    });
+
+    it('should not find uploads whose session is gone', () => {
+        return store.create({ headers: { 'upload-length': '10' } })
+            .then((file) => {
+                bucket.sessions[0].cancelled = true;
+                return store.getOffset(file.id);
+            })
+            .should.be.rejectedWith(ERRORS.FILE_NOT_FOUND);
+    });
+});
+
+describe('GCSDataStore compose upload mode', () => {
+    const KB = 1024;
+    let bucket;
+    let store;
+
+    class TestGCSDataStore extends GCSDataStore {
+        _getBucket() {
+            return bucket;
+        }
+    }
+
+    const patch = (file_id, buffer) => {
+        const req = new stream.PassThrough();
+        req.end(buffer);
+        return store.write(req, file_id);
+    };
+
+    beforeEach(() => {
+        bucket = new FakeBucket();
+        store = new TestGCSDataStore({ path: STORE_PATH, bucket: BUCKET, uploadMode: 'compose' });
+    });
+
+    it('must require a known uploadMode', () => {
+        assert.throws(() => new TestGCSDataStore({ path: STORE_PATH, bucket: BUCKET, uploadMode: 'other' }), /uploadMode/);
+    });
+
+    it('should write each request to a part object', () => {
+        return store.create({ headers: { 'upload-length': '30' } })
+            .then((file) => patch(file.id, Buffer.alloc(10, 'a'))
+                .then((offset) => {
+                    offset.should.equal(10);
+                    bucket.sessions.length.should.equal(0);
+                    return patch(file.id, Buffer.alloc(5, 'b'));
+                })
+                .then((offset) => {
+                    offset.should.equal(15);
+                    bucket.objects.has(`${file.id}_part_1`).should.equal(true);
+                    bucket.objects.has(`${file.id}_part_2`).should.equal(true);
+                    return store.getOffset(file.id);
+                })
+                .then((data) => data.should.have.properties({ size: 15, upload_length: 30 })));
+    });
+
+    it('should compose the parts once the upload is complete', () => {
+        const buffers = [];
+        for (let index = 0; index < 70; index++) {
+            buffers.push(crypto.randomBytes(KB));
+        }
+        const buffer = Buffer.concat(buffers);
+        let completed = 0;
+        store.on(EVENTS.EVENT_UPLOAD_COMPLETE, () => completed++);
+
+        return store.create({ headers: { 'upload-length': `${buffer.length}`, 'upload-metadata': 'filename YS50eHQ=' } })
+            .then((file) => buffers.reduce((written, part) => written.then(() => patch(file.id, part)), Promise.resolve())
+                .then((offset) => {
+                    offset.should.equal(buffer.length);
+                    completed.should.equal(1);
+
+                    // 70 parts need 3 intermediate objects
+                    bucket.combined.should.equal(4);
+                    Array.from(bucket.objects.keys()).should.deepEqual([file.id]);
+
+                    const object = bucket.objects.get(file.id);
+                    object.data.equals(buffer).should.equal(true);
+                    object.metadata.should.have.properties({ upload_length: `${buffer.length}`, upload_metadata: 'filename YS50eHQ=' });
+
+                    return store.getOffset(file.id);
+                })
+                .then((data) => data.size.should.equal(buffer.length)));
+    });
+
+    it('should complete a deferred upload once its length is declared', () => {
+        return store.create({ headers: { 'upload-defer-length': '1' } })
+            .then((file) => patch(file.id, Buffer.alloc(10, 'a'))
+                .then(() => store.declareUploadLength(file.id, '10'))
+                .then(() => patch(file.id, Buffer.alloc(0)))
+                .then((offset) => {
+                    offset.should.equal(10);
+                    bucket.objects.get(file.id).data.length.should.equal(10);
+                    bucket.objects.get(file.id).metadata.should.not.have.property('upload_defer_length');
+                }));
+    });
+
+    it('should emit the completion once, with the gs:// URI of the upload', () => {
+        const events = [];
+        store.on(EVENTS.EVENT_UPLOAD_COMPLETE, (event) => events.push(event));
+
+        return store.create({ headers: { 'upload-length': '0' } })
+            .then((file) => patch(file.id, Buffer.alloc(0))
+                .then(() => patch(file.id, Buffer.alloc(0)))
+                .then((offset) => {
+                    offset.should.equal(0);
+                    events.length.should.equal(1);
+                    events[0].file.should.have.properties({ id: file.id, size: 0, location: `gs://${BUCKET}/${file.id}` });
+                }));
+    });
+
+    it('should remove the parts with the upload', () => {
+        return store.create({ headers: { 'upload-length': '30' } })
+            .then((file) => patch(file.id, Buffer.alloc(10, 'a'))
+                .then(() => store.remove(file.id))
+                .then(() => bucket.objects.size.should.equal(0)));
+    });
+});
+
+describe('GCSDataStore ready', () => {
+    let exists;
+
+    class TestGCSDataStore extends GCSDataStore {
+        _getBucket() {
+            return { exists: () => exists() };
+        }
+    }
+
+    it('should not check the bucket when constructed', () => {
+        exists = () => {
+            throw new Error('the bucket must not be checked');
+        };
+
+        const store = new TestGCSDataStore({ path: STORE_PATH, bucket: BUCKET });
+        store.should.be.instanceof(DataStore);
+    });
+
+    it('should resolve once the bucket exists', () => {
+        let checks = 0;
+        exists = () => {
+            checks++;
+            return Promise.resolve([true]);
+        };
+
+        const store = new TestGCSDataStore({ path: STORE_PATH, bucket: BUCKET });
+        return store.ready()
+            .then(() => store.ready())
+            .then(() => checks.should.equal(1));
+    });
+
+    it('should reject when the bucket does not exist', () => {
+        exists = () => Promise.resolve([false]);
+
+        const store = new TestGCSDataStore({ path: STORE_PATH, bucket: BUCKET });
+        return store.ready().should.be.rejectedWith(/tus-node-server bucket does not exist/);
+    });
+
+    it('should reject with the error of the check, and check again', () => {
+        exists = () => Promise.reject(new Error('invalid_grant'));
+
+        const store = new TestGCSDataStore({ path: STORE_PATH, bucket: BUCKET });
+        return store.ready().should.be.rejectedWith('invalid_grant')
+            .then(() => {
+                exists = () => Promise.resolve([true]);
+                return store.ready();
+            });
+    });
+});
@@ -0,0 +1,339 @@
+/* eslint-env node, mocha */
+
+'use strict';
+const should = require('should');
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const stream = require('stream');
+const DataStore = require('../lib/stores/DataStore');
+const GSharedDriveDataStore = require('../lib/stores/GSharedDriveDataStore');
+const ERRORS = require('../lib/constants').ERRORS;
+const EVENTS = require('../lib/constants').EVENTS;
+
+const STORE_PATH = '/files';
+const DRIVE_ID = 'shared-drive';
+const KB = 1024;
+
+/**
+ * In-memory stand-in for a Shared Drive, with resumable upload sessions
+ * served over http like Drive does. Sessions commit multiples of 256KiB
+ * until they receive the last byte of the upload.
+ */
+class FakeDrive {
+    constructor() {
+        this.files = new Map();
+        this.sessions = [];
+        this.session_requests = 0;
+        this.server = http.createServer((req, res) => this._handleSession(req, res));
+    }
+
+    listen() {
+        return new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    }
+
+    close() {
+        return new Promise((resolve) => this.server.close(resolve));
+    }
+
+    // Authenticated request of the JWT client, starting a session
+    request(options) {
+        const id = this.sessions.push({ options, data: Buffer.alloc(0) }) - 1;
+        return Promise.resolve({
+            headers: { location: `http://127.0.0.1:${this.server.address().port}/sessions/${id}` },
+        });
+    }
+
+    // Drive API client
+    get client() {
+        const drive = this;
+        return {
+            drives: {
+                get: (params) => (params.driveId === DRIVE_ID ?
+                    Promise.resolve({ data: { id: DRIVE_ID, name: 'Uploads' } }) :
+                    Promise.reject(Object.assign(new Error('Shared drive not found'), { code: 404 }))),
+            },
+            files: {
+                get(params, options) {
+                    const match = /^bytes=(\d+)-(\d+)$/.exec(options.headers.Range || '');
+                    const data = drive.files.get(params.fileId);
+                    const body = new stream.PassThrough();
+                    body.end(match ? data.slice(parseInt(match[1], 10), parseInt(match[2], 10) + 1) : data);
+                    return Promise.resolve({ data: body });
+                },
+                delete(params) {
+                    if (!drive.files.delete(params.fileId)) {
+                        return Promise.reject(Object.assign(new Error('File not found'), { code: 404 }));
+                    }
+
+                    return Promise.resolve({});
+                },
+            },
+        };
+    }
+
+    _handleSession(req, res) {
+        this.session_requests++;
+        const session = this.sessions[req.url.split('/').pop()];
+        if (!session || session.cancelled) {
+            res.writeHead(404);
+            return res.end();
+        }
+
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        return req.on('end', () => {
+            const [, start, total] = /^bytes (\*|\d+)-?\*?\/(\*|\d+)$/.exec(req.headers['content-range']);
+            const body = Buffer.concat(chunks);
+            if (start !== '*') {
+                session.data = Buffer.concat([session.data.slice(0, parseInt(start, 10)), body]);
+            }
+
+            if (total !== '*' && session.data.length >= parseInt(total, 10)) {
+                const id = `drive-file-${this.files.size + 1}`;
+                this.files.set(id, session.data.slice(0, parseInt(total, 10)));
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ kind: 'drive#file', id, name: session.options.data.name }));
+            }
+
+            session.data = session.data.slice(0, session.data.length - (session.data.length % (256 * KB)));
+            res.writeHead(308, session.data.length ? { Range: `bytes=0-${session.data.length - 1}` } : {});
+            return res.end();
+        });
+    }
+}
+
+describe('GSharedDriveDataStore', () => {
+    let drive;
+    let store;
+
+    class TestGSharedDriveDataStore extends GSharedDriveDataStore {
+        _loadSecret() {
+            return drive;
+        }
+
+        _getDrive() {
+            return drive.client;
+        }
+    }
+
+    const patch = (file_id, buffer) => {
+        const req = new stream.PassThrough();
+        req.end(buffer);
+        return store.write(req, file_id);
+    };
+
+    const read = (file_id, range) => new Promise((resolve, reject) => {
+        const chunks = [];
+        store.read(file_id, range)
+            .on('data', (chunk) => chunks.push(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(Buffer.concat(chunks)));
+    });
+
+    beforeEach(() => {
+        drive = new FakeDrive();
+        store = new TestGSharedDriveDataStore({ path: STORE_PATH, drive_id: DRIVE_ID, keyFilename: 'keyfile.json' });
+        return drive.listen();
+    });
+
+    afterEach(() => {
+        store.configstore.clear();
+        return drive.close();
+    });
+
+    describe('constructor', () => {
+        it('must require a drive id', () => {
+            assert.throws(() => new TestGSharedDriveDataStore({ path: STORE_PATH, keyFilename: 'keyfile.json' }), /drive id/);
+        });
+
+        it('must require a keyFilename', () => {
+            assert.throws(() => new TestGSharedDriveDataStore({ path: STORE_PATH, drive_id: DRIVE_ID }), /keyFilename/);
+        });
+
+        it('must inherit from Datastore', () => {
+            assert.equal(store instanceof DataStore, true);
+        });
+
+        it('should not provide the checksum extension', () => {
+            store.hasExtension('checksum').should.equal(false);
+        });
+    });
+
+    describe('ready', () => {
+        it('should resolve once the Shared Drive exists', () => {
+            return store.ready();
+        });
+
+        it('should reject when the Shared Drive does not exist', () => {
+            store = new TestGSharedDriveDataStore({ path: STORE_PATH, drive_id: 'other', keyFilename: 'keyfile.json' });
+            return store.ready().should.be.rejectedWith('Shared drive not found');
+        });
+    });
+
+    describe('create', () => {
+        it('should reject requests without a length header', () => {
+            return store.create({ headers: {} }).should.be.rejectedWith(ERRORS.INVALID_LENGTH);
+        });
+
+        it('should start a session for the file in the Shared Drive', () => {
+            const headers = { 'upload-length': '10', 'upload-metadata': 'name 0LrQvtGCLmpwZw==,mimeType aW1hZ2UvanBlZw==' };
+            return store.create({ headers })
+                .then((file) => {
+                    drive.sessions[0].options.headers.should.deepEqual({ 'X-Upload-Content-Type': 'image/jpeg', 'X-Upload-Content-Length': '10' });
+                    drive.sessions[0].options.data.should.deepEqual({ name: 'кот.jpg', mimeType: 'image/jpeg', parents: [DRIVE_ID] });
+
+                    store.configstore.get(file.id).should.have.properties({
+                        resumable_uri: `http://127.0.0.1:${drive.server.address().port}/sessions/0`,
+                        offset: 0,
+                    });
+                    return store.getOffset(file.id);
+                })
+                .then((data) => {
+                    data.should.have.properties({ size: 0, upload_length: '10' });
+                    data.should.not.have.property('resumable_uri');
+                });
+        });
+
+        it(`should fire the ${EVENTS.EVENT_FILE_CREATED} event`, (done) => {
+            store.on(EVENTS.EVENT_FILE_CREATED, (event) => {
+                event.should.have.property('file');
+                done();
+            });
+            store.create({ headers: { 'upload-length': '10' } }).catch(done);
+        });
+    });
+
+    describe('write', () => {
+        it('should forward the requests to the session and resolve the committed bytes', () => {
+            const buffer = crypto.randomBytes(600 * KB);
+            const events = [];
+            store.on(EVENTS.EVENT_UPLOAD_COMPLETE, (event) => events.push(event));
+
+            return store.create({ headers: { 'upload-length': `${buffer.length}`, 'upload-metadata': 'filename YS50eHQ=' } })
+                .then((file) => patch(file.id, buffer.slice(0, 300 * KB))
+                    .then((offset) => {
+                        offset.should.equal(256 * KB);
+                        store.configstore.get(file.id).offset.should.equal(256 * KB);
+                        return store.getOffset(file.id);
+                    })
+                    .then((data) => patch(file.id, buffer.slice(data.size)))
+                    .then((offset) => {
+                        offset.should.equal(buffer.length);
+                        drive.files.get('drive-file-1').equals(buffer).should.equal(true);
+
+                        events.length.should.equal(1);
+                        events[0].file.should.have.properties({ id: 'drive-file-1', drive_id: DRIVE_ID, size: buffer.length });
+                        return store.getOffset(file.id);
+                    })
+                    .then((data) => data.should.have.properties({ size: buffer.length, drive_file_id: 'drive-file-1' })));
+        });
+
+        it('should not send empty requests to the session', () => {
+            return store.create({ headers: { 'upload-length': '10' } })
+                .then((file) => patch(file.id, Buffer.alloc(0)))
+                .then((offset) => {
+                    offset.should.equal(0);
+                    drive.session_requests.should.equal(0);
+                });
+        });
+
+        it('should complete a deferred upload once its length is declared', () => {
+            const buffer = crypto.randomBytes(256 * KB);
+
+            return store.create({ headers: { 'upload-defer-length': '1' } })
+                .then((file) => patch(file.id, buffer)
+                    .then((offset) => {
+                        offset.should.equal(buffer.length);
+                        return store.declareUploadLength(file.id, `${buffer.length}`);
+                    })
+                    .then(() => patch(file.id, Buffer.alloc(0)))
+                    .then((offset) => {
+                        offset.should.equal(buffer.length);
+                        drive.files.get('drive-file-1').equals(buffer).should.equal(true);
+                    }));
+        });
+
+        it('should emit the completion once', () => {
+            let completed = 0;
+            store.on(EVENTS.EVENT_UPLOAD_COMPLETE, () => completed++);
+
+            return store.create({ headers: { 'upload-length': '10' } })
+                .then((file) => patch(file.id, Buffer.alloc(10, 'a'))
+                    .then(() => patch(file.id, Buffer.alloc(0)))
+                    .then((offset) => {
+                        offset.should.equal(10);
+                        completed.should.equal(1);
+                        drive.files.size.should.equal(1);
+                    }));
+        });
+
+        it('should not write to uploads whose session is gone', () => {
+            return store.create({ headers: { 'upload-length': '10' } })
+                .then((file) => {
+                    drive.sessions[0].cancelled = true;
+                    return patch(file.id, Buffer.alloc(10, 'a'));
+                })
+                .should.be.rejectedWith(ERRORS.FILE_NOT_FOUND);
+        });
+    });
+
+    describe('read', () => {
+        it('should read the Drive file, or a range of it', () => {
+            const buffer = crypto.randomBytes(10);
+
+            return store.create({ headers: { 'upload-length': '10' } })
+                .then((file) => patch(file.id, buffer)
+                    .then(() => read(file.id))
+                    .then((data) => {
+                        data.equals(buffer).should.equal(true);
+                        return read(file.id, { start: 2, end: 5 });
+                    })
+                    .then((data) => data.equals(buffer.slice(2, 6)).should.equal(true)));
+        });
+    });
+
+    describe('remove', () => {
+        it('should delete the Drive file and the record of the upload', () => {
+            return store.create({ headers: { 'upload-length': '10' } })
+                .then((file) => patch(file.id, Buffer.alloc(10, 'a'))
+                    .then(() => store.remove(file.id))
+                    .then(() => {
+                        drive.files.size.should.equal(0);
+                        return store.getOffset(file.id);
+                    }))
+                .should.be.rejectedWith(ERRORS.FILE_NOT_FOUND);
+        });
+
+        it('should forget unfinished uploads', () => {
+            return store.create({ headers: { 'upload-length': '10' } })
+                .then((file) => store.remove(file.id)
+                    .then(() => store.remove(file.id)))
+                .should.be.rejectedWith(ERRORS.FILE_NOT_FOUND);
+        });
+    });
+
+    describe('deleteExpired', () => {
+        it('should remove the expired unfinished uploads only', () => {
+            store = new TestGSharedDriveDataStore({
+                path: STORE_PATH,
+                drive_id: DRIVE_ID,
+                keyFilename: 'keyfile.json',
+                expirationPeriodInMilliseconds: 1,
+            });
+
+            return Promise.all([
+                store.create({ headers: { 'upload-length': '10' } }),
+                store.create({ headers: { 'upload-length': '10' } }),
+            ])
+                .then(([unfinished, finished]) => patch(finished.id, Buffer.alloc(10, 'a'))
+                    .then(() => new Promise((resolve) => setTimeout(resolve, 5)))
+                    .then(() => store.deleteExpired())
+                    .then((removed) => {
+                        removed.should.equal(1);
+                        should.not.exist(store.configstore.get(unfinished.id));
+                        should.exist(store.configstore.get(finished.id));
+                    }));
+        });
+    });
+});
@@ -0,0 +1,96 @@
+/* eslint-env node, mocha */
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const should = require('should');
+const GetHandler = require('../lib/handlers/GetHandler');
+const DataStore = require('../lib/stores/DataStore');
+
+describe('GetHandler', () => {
+    const path = '/files';
+    let res = null;
+    const store = new DataStore({ path });
+    const handler = new GetHandler(store);
+    const req = { headers: {} };
+
+    beforeEach((done) => {
+        res = new http.ServerResponse({ method: 'GET' });
+        done();
+    });
+
+    it('should 404 urls without a file id', (done) => {
+        req.url = '/null';
+        handler.send(req, res);
+        assert.equal(res.statusCode, 404);
+        done();
+    });
+
+    it('should invoke the callback registered for a path', (done) => {
+        const registered_handler = new GetHandler(store);
+        registered_handler.registerPath('/some_url', (request, response) => {
+            assert.equal(response, res);
+            done();
+        });
+        req.url = '/some_url';
+        registered_handler.send(req, res);
+    });
+
+    it('should 404 unfinished uploads', () => {
+        req.url = `${path}/1234`;
+        return handler.send(req, res)
+            .then(() => {
+                assert.equal(res.statusCode, 404);
+            });
+    });
+
+    it('should 416 unsatisfiable ranges', () => {
+        const finished_store = new DataStore({ path });
+        finished_store.getOffset = () => Promise.resolve({ size: 10, upload_length: '10' });
+        const finished_handler = new GetHandler(finished_store);
+        req.url = `${path}/1234`;
+        req.headers = { range: 'bytes=10-' };
+        return finished_handler.send(req, res)
+            .then(() => {
+                assert.equal(res.statusCode, 416);
+                assert.equal(res._header.indexOf('Content-Range: bytes */10') > -1, true);
+            });
+    });
+
+    describe('_parseRange()', () => {
+        it('should ignore missing and multiple ranges', () => {
+            should(handler._parseRange(undefined, 10)).be.null();
+            should(handler._parseRange('bytes=0-1,4-5', 10)).be.null();
+        });
+
+        it('should parse byte ranges', () => {
+            handler._parseRange('bytes=2-5', 10).should.eql({ start: 2, end: 5 });
+            handler._parseRange('bytes=2-', 10).should.eql({ start: 2, end: 9 });
+            handler._parseRange('bytes=2-100', 10).should.eql({ start: 2, end: 9 });
+            handler._parseRange('bytes=-3', 10).should.eql({ start: 7, end: 9 });
+        });
+
+        it('should reject ranges beyond the end of the file', () => {
+            handler._parseRange('bytes=10-12', 10).should.be.false();
+            handler._parseRange('bytes=5-2', 10).should.be.false();
+        });
+    });
+
+    describe('_contentHeaders()', () => {
+        it('should default to a binary attachment', () => {
+            handler._contentHeaders(undefined).should.eql({
+                'Content-Type': 'application/octet-stream',
+                'Content-Disposition': 'attachment',
+            });
+        });
+
+        it('should use the filename and filetype of the metadata', () => {
+            const filename = Buffer.from('résumé.pdf').toString('base64');
+            const filetype = Buffer.from('application/pdf').toString('base64');
+            handler._contentHeaders(`filename ${filename},filetype ${filetype},is_confidential`).should.eql({
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': 'attachment; filename="r_sum_.pdf"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9.pdf',
+            });
+        });
+    });
+});
@@ -52,4 +52,27 @@ describe('HeadHandler', () => {
             .then(done)
             .catch(done);
     });
+
+    it('should include Upload-Expires for unfinished uploads', () => {
+        const expiring_store = new DataStore({ path, expirationPeriodInMilliseconds: 60000 });
+        expiring_store.getOffset = () => Promise.resolve({ size: 0, upload_length: 1, creation_date: new Date().toISOString() });
+        const expiring_handler = new HeadHandler(expiring_store);
+        req.url = `${path}/1234`;
+        return expiring_handler.send(req, res)
+            .then(() => {
+                assert.equal(res._header.indexOf('Upload-Expires: ') > -1, true);
+                assert.equal(res.statusCode, 200);
+            });
+    });
+
+    it('should 410 expired uploads', () => {
+        const expiring_store = new DataStore({ path, expirationPeriodInMilliseconds: 1 });
+        expiring_store.getOffset = () => Promise.resolve({ size: 0, upload_length: 1, creation_date: new Date(0).toISOString() });
+        const expiring_handler = new HeadHandler(expiring_store);
+        req.url = `${path}/1234`;
+        return expiring_handler.send(req, res)
+            .then(() => {
+                assert.equal(res.statusCode, 410);
+            });
+    });
 });
@@ -0,0 +1,73 @@
+/* eslint-env node, mocha */
+
+'use strict';
+
+const assert = require('assert');
+const should = require('should');
+const KvStore = require('../lib/kvstores/KvStore');
+const MemoryKvStore = require('../lib/kvstores/MemoryKvStore');
+
+describe('MemoryKvStore', () => {
+    it('must inherit from KvStore', () => {
+        new MemoryKvStore().should.be.instanceof(KvStore);
+    });
+
+    it('constructor must require a positive maxSize, if it is provided', () => {
+        assert.throws(() => { new MemoryKvStore({ maxSize: 0 }); }, Error);
+    });
+
+    it('constructor must require a non negative ttlInMilliseconds, if it is provided', () => {
+        assert.throws(() => { new MemoryKvStore({ ttlInMilliseconds: -1 }); }, Error);
+    });
+
+    it('should get, set and delete values', () => {
+        const store = new MemoryKvStore();
+        const value = { upload_id: '1234' };
+
+        return store.get('key')
+            .then((missing) => {
+                should.not.exist(missing);
+                return store.set('key', value);
+            })
+            .then(() => store.get('key'))
+            .then((found) => {
+                found.should.equal(value);
+                return store.delete('key');
+            })
+            .then(() => store.get('key'))
+            .then((deleted) => should.not.exist(deleted));
+    });
+
+    it('should evict the least recently used value beyond maxSize', () => {
+        const store = new MemoryKvStore({ maxSize: 2 });
+
+        return store.set('a', 1)
+            .then(() => store.set('b', 2))
+            .then(() => store.get('a'))
+            .then(() => store.set('c', 3))
+            .then(() => Promise.all(['a', 'b', 'c'].map((key) => store.get(key))))
+            .then((values) => {
+                assert.deepStrictEqual(values, [1, undefined, 3]);
+            });
+    });
+
+    it('should expire values after ttlInMilliseconds', () => {
+        const store = new MemoryKvStore({ ttlInMilliseconds: 10 });
+
+        return store.set('key', 'value')
+            .then(() => new Promise((resolve) => setTimeout(resolve, 20)))
+            .then(() => store.get('key'))
+            .then((value) => {
+                should.not.exist(value);
+                store.entries.size.should.equal(0);
+            });
+    });
+
+    it('should keep values without a ttlInMilliseconds', () => {
+        const store = new MemoryKvStore({ ttlInMilliseconds: 0 });
+
+        return store.set('key', 'value')
+            .then(() => store.get('key'))
+            .then((value) => value.should.equal('value'));
+    });
+});
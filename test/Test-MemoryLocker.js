@@ -0,0 +1,53 @@
+/* eslint-env node, mocha */
+
+'use strict';
+
+const assert = require('assert');
+const should = require('should');
+const MemoryLocker = require('../lib/lockers/MemoryLocker');
+
+describe('MemoryLocker', () => {
+    it('constructor must require a non negative acquireLockTimeoutInMilliseconds, if it is provided', () => {
+        assert.throws(() => { new MemoryLocker({ acquireLockTimeoutInMilliseconds: -1 }); }, Error);
+    });
+
+    it('should acquire a free lock', () => {
+        const locker = new MemoryLocker();
+        return locker.lock('1234')
+            .then(() => locker.unlock('1234'))
+            .then(() => locker.locks.size.should.equal(0));
+    });
+
+    it('should wait for the lock to be released and ask the holder to release it', () => {
+        const locker = new MemoryLocker();
+        const order = [];
+        let release_requested = false;
+
+        return locker.lock('1234', () => {
+            release_requested = true;
+        })
+            .then(() => {
+                const waiting = locker.lock('1234').then(() => order.push('second'));
+                assert.equal(release_requested, true);
+
+                order.push('first');
+                return locker.unlock('1234').then(() => waiting);
+            })
+            .then(() => {
+                assert.deepEqual(order, ['first', 'second']);
+                return locker.unlock('1234');
+            });
+    });
+
+    it('should reject with 423 when the lock is not released in time', () => {
+        const locker = new MemoryLocker({ acquireLockTimeoutInMilliseconds: 10 });
+        return locker.lock('1234')
+            .then(() => locker.lock('1234'))
+            .should.be.rejectedWith({ status_code: 423 })
+            .then(() => locker.lock('abcd'))
+            .then(() => {
+                // The timed out request is not waiting anymore
+                assert.equal(locker.locks.get('1234').waiting.length, 0);
+            });
+    });
+});
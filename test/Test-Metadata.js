@@ -0,0 +1,27 @@
+/* eslint-env node, mocha */
+
+'use strict';
+
+const should = require('should');
+const Metadata = require('../lib/models/Metadata');
+
+describe('Metadata', () => {
+
+    describe('parse', () => {
+        it('should decode the values by key', () => {
+            Metadata.parse('filename 0LrQvtGCLmpwZw==, type aW1hZ2UvanBlZw==').should.deepEqual({
+                filename: 'кот.jpg',
+                type: 'image/jpeg',
+            });
+        });
+
+        it('should give keys without a value an empty string', () => {
+            Metadata.parse('is_confidential,filename YS50eHQ=').should.deepEqual({ is_confidential: '', filename: 'a.txt' });
+        });
+
+        it('should resolve an empty object without metadata', () => {
+            Metadata.parse(undefined).should.deepEqual({});
+            should(Metadata.parse('')).deepEqual({});
+        });
+    });
+});
@@ -51,4 +51,37 @@ describe('OptionsHandler', () => {
         assert.equal(hasHeader(res, headers), true)
         done();
     });
+
+    it('send() should set the checksum algorithms header if the extension exists', (done) => {
+        let headers = {
+            'Tus-Checksum-Algorithm': 'md5,sha1,sha256,crc32',
+        };
+        store.extensions = ['creation', 'checksum'];
+        let handler = new OptionsHandler(store);
+        handler.send(req, res);
+        assert.equal(hasHeader(res, headers), true)
+        done();
+    });
+
+    it('send() should set the max size header if there is a limit', (done) => {
+        let headers = {
+            'Tus-Max-Size': 1024,
+        };
+        let handler = new OptionsHandler(new DataStore({ path: '/files', maxSize: 1024 }));
+        handler.send(req, res);
+        assert.equal(hasHeader(res, headers), true)
+        done();
+    });
+
+    it('send() should resolve the max size of a maxSize function', () => {
+        let headers = {
+            'Tus-Max-Size': 2048,
+        };
+        let handler = new OptionsHandler(new DataStore({ path: '/files', maxSize: () => Promise.resolve(2048) }));
+        return handler.send(req, res)
+            .then(() => {
+                assert.equal(hasHeader(res, headers), true)
+                assert.equal(res.statusCode, 204)
+            });
+    });
 });
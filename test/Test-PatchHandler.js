@@ -3,6 +3,7 @@
 
 const assert = require('assert');
 const http = require('http');
+const stream = require('stream');
 const should = require('should');
 const PatchHandler = require('../lib/handlers/PatchHandler');
 const DataStore = require('../lib/stores/DataStore');
@@ -88,14 +89,62 @@ describe('PatchHandler', () => {
                 });
         });
 
-        it('must acknowledge successful PATCH requests with the 204', () => {
+        it('must 400 if the checksum algorithm is not supported', () => {
+            const checksum_store = new DataStore({ path });
+            checksum_store.extensions = ['checksum'];
+            const checksum_handler = new PatchHandler(checksum_store);
+            req.headers = {
+                'upload-offset': 0,
+                'content-type': 'application/offset+octet-stream',
+                'upload-checksum': 'sha512 Kq5sNclPz7QV2+lfQIuc6R7oRu0=',
+            };
+            req.url = `${path}/1234`;
+            checksum_handler.send(req, res);
+            assert.equal(res.statusCode, 400);
+        });
+
+        it('must 400 if the Upload-Length differs from the length of the upload', () => {
             req.headers = {
                 'upload-offset': 0,
+                'upload-length': 10,
                 'content-type': 'application/offset+octet-stream',
             };
             req.url = `${path}/1234`;
 
             return handler.send(req, res)
+                .then(() => {
+                    assert.equal(res.statusCode, 400);
+                });
+        });
+
+        it('must 413 if the declared Upload-Length exceeds the maximum size', () => {
+            const limited_store = new DataStore({ path, maxSize: 5 });
+            limited_store.getOffset = () => Promise.resolve({ size: 0, upload_defer_length: '1' });
+            const limited_handler = new PatchHandler(limited_store);
+            req.headers = {
+                'upload-offset': 0,
+                'upload-length': 10,
+                'content-type': 'application/offset+octet-stream',
+            };
+            req.url = `${path}/1234`;
+
+            return limited_handler.send(req, res)
+                .then(() => {
+                    assert.equal(res.statusCode, 413);
+                });
+        });
+
+        it('must acknowledge successful PATCH requests with the 204', () => {
+            // The body is streamed to the store
+            const body_req = new stream.PassThrough();
+            body_req.headers = {
+                'upload-offset': 0,
+                'content-type': 'application/offset+octet-stream',
+            };
+            body_req.url = `${path}/1234`;
+            body_req.end();
+
+            return handler.send(body_req, res)
                 .then(() => {
                     assert.equal(hasHeader(res, { 'Upload-Offset': 0 }), true);
                     assert.equal(res.statusCode, 204);
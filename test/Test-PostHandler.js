@@ -47,6 +47,68 @@ describe('PostHandler', () => {
                 .catch(done);
         });
 
+        it('must write the request body and include Upload-Offset with creation-with-upload', () => {
+            const upload_store = new DataStore({ path, namingFunction });
+            upload_store.extensions = ['creation', 'creation-with-upload'];
+            upload_store.write = () => Promise.resolve(11);
+            const upload_handler = new PostHandler(upload_store);
+            req.headers = {
+                'upload-length': 1000,
+                'content-type': 'application/offset+octet-stream',
+                host: 'localhost:3000',
+            };
+
+            return upload_handler.send(req, res)
+                .then(() => {
+                    assert.equal(hasHeader(res, { 'Upload-Offset': 11 }), true);
+                    assert.equal(res.statusCode, 201);
+                });
+        });
+
+        it('must 413 if the Upload-Length exceeds the maximum size', () => {
+            const limited_store = new DataStore({ path, namingFunction, maxSize: 999 });
+            const limited_handler = new PostHandler(limited_store);
+            req.headers = { 'upload-length': 1000, host: 'localhost:3000' };
+
+            return limited_handler.send(req, res)
+                .then(() => {
+                    assert.equal(res.statusCode, 413);
+                });
+        });
+
+        it('must create the upload with the metadata rewritten by onUploadCreate', () => {
+            const hook_store = new DataStore({ path, namingFunction });
+            let created_metadata;
+            hook_store.create = (request) => {
+                created_metadata = request.headers['upload-metadata'];
+                return Promise.resolve({ id: '1234', upload_length: 1000 });
+            };
+            const hook_handler = new PostHandler(hook_store, {
+                onUploadCreate: (request, response, upload) => {
+                    assert.equal(upload.upload_length, 1000);
+                    upload.upload_metadata = 'filename d29ybGRfZG9taW5hdGlvbl9wbGFuLnBkZg==';
+                },
+            });
+            req.headers = { 'upload-length': 1000, 'upload-metadata': 'filename aGVsbG8=', host: 'localhost:3000' };
+
+            return hook_handler.send(req, res)
+                .then(() => {
+                    assert.equal(created_metadata, 'filename d29ybGRfZG9taW5hdGlvbl9wbGFuLnBkZg==');
+                    assert.equal(res.statusCode, 201);
+                });
+        });
+
+        it('must include Upload-Expires when the store expires uploads', () => {
+            const expiring_store = new DataStore({ path, namingFunction, expirationPeriodInMilliseconds: 60000 });
+            const expiring_handler = new PostHandler(expiring_store);
+            req.headers = { 'upload-length': 1000, host: 'localhost:3000' };
+
+            return expiring_handler.send(req, res)
+                .then(() => {
+                    assert.equal(res._header.indexOf('Upload-Expires: ') > -1, true);
+                    assert.equal(res.statusCode, 201);
+                });
+        });
     });
 
 });
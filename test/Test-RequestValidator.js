@@ -93,6 +93,51 @@ describe('RequestValidator', () => {
         });
     });
 
+    describe('_invalidUploadChecksumHeader', () => {
+        it('should validate an algorithm and a Base64 value', (done) => {
+            assert.equal(RequestValidator._invalidUploadChecksumHeader('sha1 Kq5sNclPz7QV2+lfQIuc6R7oRu0='), false);
+            done();
+        });
+
+        it('should invalidate a missing algorithm or value', (done) => {
+            assert.equal(RequestValidator._invalidUploadChecksumHeader('sha1'), true);
+            assert.equal(RequestValidator._invalidUploadChecksumHeader(' Kq5sNclPz7QV2+lfQIuc6R7oRu0='), true);
+            done();
+        });
+
+        it('should invalidate a value that is not Base64', (done) => {
+            assert.equal(RequestValidator._invalidUploadChecksumHeader('sha1 not-base64!'), true);
+            done();
+        });
+    });
+
+    describe('_invalidUploadConcatHeader', () => {
+        it('should validate partial', (done) => {
+            assert.equal(RequestValidator._invalidUploadConcatHeader('partial'), false);
+            done();
+        });
+
+        it('should validate final with a list of urls', (done) => {
+            assert.equal(RequestValidator._invalidUploadConcatHeader('final;/files/a'), false);
+            assert.equal(RequestValidator._invalidUploadConcatHeader('final;/files/a http://localhost/files/b'), false);
+            done();
+        });
+
+        it('should invalidate anything else', (done) => {
+            assert.equal(RequestValidator._invalidUploadConcatHeader('final;'), true);
+            assert.equal(RequestValidator._invalidUploadConcatHeader('final /files/a'), true);
+            assert.equal(RequestValidator._invalidUploadConcatHeader('partially'), true);
+            done();
+        });
+    });
+
+    describe('_invalidUploadExpiresHeader', () => {
+        it('always validate ', (done) => {
+            assert.equal(RequestValidator._invalidUploadExpiresHeader(), false);
+            done();
+        });
+    });
+
     describe('_invalidXRequestedWithHeader', () => {
         it('always validate ', (done) => {
             assert.equal(RequestValidator._invalidXRequestedWithHeader(), false);
@@ -141,6 +186,13 @@ describe('RequestValidator', () => {
         });
     });
 
+    describe('_invalidTusChecksumAlgorithmHeader', () => {
+        it('always validate ', (done) => {
+            assert.equal(RequestValidator._invalidTusChecksumAlgorithmHeader(), false);
+            done();
+        });
+    });
+
     describe('_invalidXHttpMethodOverrideHeader', () => {
         it('always validate ', (done) => {
             assert.equal(RequestValidator._invalidXHttpMethodOverrideHeader(), false);
@@ -0,0 +1,133 @@
+/* eslint-env node, mocha */
+
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const stream = require('stream');
+const ResumableSession = require('../lib/models/ResumableSession');
+const ERRORS = require('../lib/constants').ERRORS;
+
+describe('ResumableSession', () => {
+    let server;
+    let requests;
+    let respond;
+    let session;
+
+    before(() => {
+        server = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', (chunk) => chunks.push(chunk));
+            req.on('end', () => {
+                requests.push({ method: req.method, range: req.headers['content-range'], body: Buffer.concat(chunks).toString() });
+                respond(res);
+            });
+        });
+        return new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    beforeEach(() => {
+        requests = [];
+        respond = (res) => {
+            res.writeHead(308, { Range: 'bytes=0-9' });
+            res.end();
+        };
+        session = new ResumableSession(`http://127.0.0.1:${server.address().port}/session`);
+    });
+
+    describe('constructor', () => {
+        it('must require a session URI', () => {
+            assert.throws(() => { new ResumableSession(); }, /session URI/);
+        });
+    });
+
+    describe('hasData', () => {
+        it('should resolve whether the stream has bytes', () => {
+            const empty = new stream.PassThrough();
+            empty.end();
+            const full = new stream.PassThrough();
+            full.end('data');
+
+            return Promise.all([ResumableSession.hasData(empty), ResumableSession.hasData(full)])
+                .then((results) => results.should.deepEqual([false, true]));
+        });
+    });
+
+    describe('append', () => {
+        it('should send the bytes from the offset and resolve the committed bytes', () => {
+            const req = new stream.PassThrough();
+            req.end('0123456789');
+
+            return session.append(req, 0, 20)
+                .then((status) => {
+                    requests.should.deepEqual([{ method: 'PUT', range: 'bytes 0-*/20', body: '0123456789' }]);
+                    status.should.deepEqual({ offset: 10, complete: false });
+                });
+        });
+
+        it('should resolve the body of the response completing the session', () => {
+            respond = (res) => {
+                res.writeHead(200);
+                res.end('{"id":"object"}');
+            };
+            const req = new stream.PassThrough();
+            req.end('0123456789');
+
+            return session.append(req, 10, undefined)
+                .then((status) => {
+                    requests[0].range.should.equal('bytes 10-*/*');
+                    status.should.deepEqual({ offset: undefined, complete: true, body: '{"id":"object"}' });
+                });
+        });
+    });
+
+    describe('finish', () => {
+        it('should declare the length of the upload', () => {
+            respond = (res) => {
+                res.writeHead(201);
+                res.end();
+            };
+
+            return session.finish(10)
+                .then((status) => {
+                    requests[0].range.should.equal('bytes */10');
+                    status.should.have.properties({ offset: 10, complete: true });
+                });
+        });
+    });
+
+    describe('status', () => {
+        it('should resolve no bytes when the session has not committed any', () => {
+            respond = (res) => {
+                res.writeHead(308);
+                res.end();
+            };
+
+            return session.status(10)
+                .then((status) => {
+                    requests[0].range.should.equal('bytes */*');
+                    status.should.deepEqual({ offset: 0, complete: false });
+                });
+        });
+
+        it(`should reject with ${ERRORS.FILE_NOT_FOUND.status_code} when the session is gone`, () => {
+            respond = (res) => {
+                res.writeHead(410);
+                res.end();
+            };
+
+            return session.status(10).should.be.rejectedWith(ERRORS.FILE_NOT_FOUND);
+        });
+
+        it('should reject on other responses', () => {
+            respond = (res) => {
+                res.writeHead(503);
+                res.end();
+            };
+
+            return session.status(10).should.be.rejectedWith(/503/);
+        });
+    });
+});
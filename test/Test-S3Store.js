@@ -0,0 +1,1142 @@
+/* eslint-env node, mocha */
+
+'use strict';
+const should = require('should');
+const PassThrough = require('stream').PassThrough;
+const DataStore = require('../lib/stores/DataStore');
+const S3Client = require('@aws-sdk/client-s3').S3Client;
+const S3Store = require('../lib/stores/S3Store');
+const KvStore = require('../lib/kvstores/KvStore');
+const MemoryKvStore = require('../lib/kvstores/MemoryKvStore');
+const request = require('supertest');
+const Server = require('../lib/Server');
+const ERRORS = require('../lib/constants').ERRORS;
+const EVENTS = require('../lib/constants').EVENTS;
+const TUS_RESUMABLE = require('../lib/constants').TUS_RESUMABLE;
+
+const MB = 1024 * 1024;
+
+const s3Error = (name, httpStatusCode) => Object.assign(new Error(name), { name, $metadata: { httpStatusCode } });
+
+const readBody = (body) => {
+    if (body === undefined || typeof body === 'string' || Buffer.isBuffer(body)) {
+        return Promise.resolve(Buffer.from(body || ''));
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        body.on('data', (chunk) => chunks.push(chunk));
+        body.on('error', reject);
+        body.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+};
+
+/**
+ * In-memory stand-in for the parts of the S3Client used by the store.
+ * Commands are sent to the method of the same name, eg. `uploadPart`.
+ */
+class FakeS3 {
+    constructor() {
+        this.config = {
+            endpoint: () => Promise.resolve({ protocol: 'https:', hostname: 's3.test', path: '/' }),
+            forcePathStyle: false,
+        };
+        this.objects = new Map();
+        this.uploads = new Map();
+        this.calls = [];
+        this.upload_count = 0;
+    }
+
+    send(command) {
+        const name = command.constructor.name.replace(/Command$/, '');
+        return this[name.charAt(0).toLowerCase() + name.slice(1)](command.input);
+    }
+
+    _request(method, fn) {
+        this.calls.push(method);
+        return Promise.resolve().then(fn);
+    }
+
+    _getUpload(upload_id) {
+        if (!this.uploads.has(upload_id)) {
+            throw s3Error('NoSuchUpload', 404);
+        }
+
+        return this.uploads.get(upload_id);
+    }
+
+    headBucket() {
+        return this._request('headBucket', () => ({}));
+    }
+
+    createMultipartUpload(params) {
+        return this._request('createMultipartUpload', () => {
+            const upload_id = `upload-${++this.upload_count}`;
+            this.uploads.set(upload_id, { Key: params.Key, Initiated: new Date(), Metadata: params.Metadata, parts: new Map() });
+            return { UploadId: upload_id };
+        });
+    }
+
+    putObject(params) {
+        return this._request('putObject', () => readBody(params.Body).then((body) => {
+            this.objects.set(params.Key, { body, Metadata: params.Metadata, ContentType: params.ContentType, LastModified: new Date() });
+            return { ETag: `"${params.Key}"` };
+        }));
+    }
+
+    headObject(params) {
+        return this._request('headObject', () => {
+            const object = this.objects.get(params.Key);
+            if (!object) {
+                throw s3Error('NotFound', 404);
+            }
+
+            return { ContentLength: object.body.length, Metadata: object.Metadata };
+        });
+    }
+
+    getObject(params) {
+        return this._request('getObject', () => {
+            const object = this.objects.get(params.Key);
+            if (!object) {
+                throw s3Error('NoSuchKey', 404);
+            }
+
+            const body = new PassThrough();
+            body.transformToByteArray = () => Promise.resolve(new Uint8Array(object.body));
+            body.end(object.body);
+
+            return { Body: body };
+        });
+    }
+
+    deleteObject(params) {
+        return this._request('deleteObject', () => this.objects.delete(params.Key));
+    }
+
+    deleteObjects(params) {
+        return this._request('deleteObjects', () => {
+            params.Delete.Objects.forEach((object) => this.objects.delete(object.Key));
+            return {};
+        });
+    }
+
+    uploadPart(params) {
+        return this._request('uploadPart', () => {
+            const upload = this._getUpload(params.UploadId);
+            return readBody(params.Body).then((body) => {
+                const ETag = `"${params.UploadId}-${params.PartNumber}"`;
+                upload.parts.set(params.PartNumber, { PartNumber: params.PartNumber, Size: body.length, ETag, body });
+                return { ETag };
+            });
+        });
+    }
+
+    uploadPartCopy(params) {
+        return this._request('uploadPartCopy', () => {
+            const upload = this._getUpload(params.UploadId);
+            const source = this.objects.get(decodeURIComponent(params.CopySource.slice(params.Bucket.length + 1)));
+            if (!source) {
+                throw s3Error('NoSuchKey', 404);
+            }
+
+            const ETag = `"${params.UploadId}-${params.PartNumber}"`;
+            upload.parts.set(params.PartNumber, { PartNumber: params.PartNumber, Size: source.body.length, ETag, body: source.body });
+            return { CopyPartResult: { ETag } };
+        });
+    }
+
+    listParts(params) {
+        return this._request('listParts', () => {
+            const parts = Array.from(this._getUpload(params.UploadId).parts.values())
+                .sort((a, b) => a.PartNumber - b.PartNumber)
+                .map((part) => ({ PartNumber: part.PartNumber, Size: part.Size, ETag: part.ETag }));
+
+            return { Parts: parts };
+        });
+    }
+
+    completeMultipartUpload(params) {
+        return this._request('completeMultipartUpload', () => {
+            const upload = this._getUpload(params.UploadId);
+            const parts = params.MultipartUpload.Parts.map((part) => upload.parts.get(part.PartNumber));
+            if (parts.slice(0, -1).some((part) => part.Size < 5 * MB)) {
+                throw s3Error('EntityTooSmall', 400);
+            }
+
+            const body = Buffer.concat(parts.map((part) => part.body));
+            this.uploads.delete(params.UploadId);
+            this.objects.set(params.Key, { body, Metadata: upload.Metadata, LastModified: new Date() });
+            return { Location: `https://${params.Bucket}.s3.test/${params.Key}` };
+        });
+    }
+
+    abortMultipartUpload(params) {
+        return this._request('abortMultipartUpload', () => {
+            this._getUpload(params.UploadId);
+            this.uploads.delete(params.UploadId);
+            return {};
+        });
+    }
+
+    listMultipartUploads(params) {
+        return this._request('listMultipartUploads', () => ({
+            Uploads: Array.from(this.uploads.entries())
+                .filter(([, upload]) => upload.Key.startsWith(params.Prefix || ''))
+                .map(([UploadId, upload]) => ({
+                    UploadId,
+                    Key: upload.Key,
+                    Initiated: upload.Initiated,
+                })),
+        }));
+    }
+
+    listObjectsV2(params) {
+        return this._request('listObjectsV2', () => ({
+            Contents: Array.from(this.objects.entries())
+                .filter(([Key]) => Key.startsWith(params.Prefix || ''))
+                .map(([Key, object]) => ({ Key, Size: object.body.length, LastModified: object.LastModified })),
+        }));
+    }
+}
+
+describe('S3Store', () => {
+    let store;
+    let client;
+
+    const createUpload = (upload_length) => {
+        const req = { headers: { 'upload-length': `${upload_length}` } };
+        return store.create(req);
+    };
+
+    const patch = (file_id, buffer) => {
+        const req = new PassThrough();
+        req.end(buffer);
+        return store.write(req, file_id);
+    };
+
+    beforeEach(() => {
+        store = new S3Store({
+            path: '/files',
+            bucket: 'bucket',
+            accessKeyId: 'access-key-id',
+            secretAccessKey: 'secret-access-key',
+            partSize: 5 * MB,
+        });
+        client = new FakeS3();
+        store.client = client;
+    });
+
+    describe('constructor', () => {
+        it('must inherit from Datastore', () => {
+            store.should.be.instanceof(DataStore);
+        });
+
+        it('must require a bucket', () => {
+            should.throws(() => new S3Store({ path: '/files' }), /bucket/);
+        });
+
+        it('should not require static credentials', () => {
+            const s3_store = new S3Store({ path: '/files', bucket: 'bucket', region: 'us-east-1' });
+            s3_store.client.should.be.instanceof(S3Client);
+            s3_store._clientConfig({ region: 'us-east-1' }).should.not.have.property('credentials');
+        });
+
+        it('should configure the client with static credentials', () => {
+            store._clientConfig({
+                accessKeyId: 'access-key-id',
+                secretAccessKey: 'secret-access-key',
+            }).credentials.should.deepEqual({
+                accessKeyId: 'access-key-id',
+                secretAccessKey: 'secret-access-key',
+            });
+        });
+
+        it('should configure the client for S3 compatible servers', () => {
+            const s3_store = new S3Store({
+                path: '/files',
+                bucket: 'bucket',
+                region: 'us-east-1',
+                endpoint: 'http://localhost:9000',
+                s3ForcePathStyle: true,
+            });
+
+            s3_store.client.config.forcePathStyle.should.equal(true);
+            return s3_store.client.config.endpoint()
+                .then((endpoint) => endpoint.hostname.should.equal('localhost'));
+        });
+
+        it('should pass s3ClientConfig to the client', () => {
+            const s3_store = new S3Store({
+                path: '/files',
+                bucket: 'bucket',
+                region: 'us-east-1',
+                s3ClientConfig: { maxAttempts: 5 },
+            });
+
+            return s3_store.client.config.maxAttempts()
+                .then((max_attempts) => max_attempts.should.equal(5));
+        });
+
+        it('should use the given s3Client', () => {
+            const s3_client = new S3Client({ region: 'us-east-1' });
+            const s3_store = new S3Store({ path: '/files', bucket: 'bucket', s3Client: s3_client });
+            s3_store.client.should.equal(s3_client);
+        });
+
+        it('must require the s3Client to be an S3Client', () => {
+            should.throws(() => new S3Store({ path: '/files', bucket: 'bucket', s3Client: {} }), /S3Client/);
+        });
+
+        it('must require a partSize of at least 5MB', () => {
+            should.throws(() => new S3Store({
+                path: '/files',
+                bucket: 'bucket',
+                partSize: MB,
+            }), /partSize/);
+        });
+
+        it('must require a positive integer maxConcurrentPartUploads', () => {
+            should.throws(() => new S3Store({
+                path: '/files',
+                bucket: 'bucket',
+                maxConcurrentPartUploads: 1.5,
+            }), /maxConcurrentPartUploads/);
+        });
+
+        it('must require the cache to be a KvStore', () => {
+            should.throws(() => new S3Store({
+                path: '/files',
+                bucket: 'bucket',
+                cache: {},
+            }), /KvStore/);
+        });
+
+        it('should cache the upload data in memory by default', () => {
+            store.cache.should.be.instanceof(MemoryKvStore);
+        });
+
+        it('should support creation-with-upload', () => {
+            store.hasExtension('creation-with-upload').should.equal(true);
+        });
+    });
+
+    describe('ready', () => {
+        it('should check the bucket exists once', () => {
+            return store.ready()
+                .then(() => store.ready())
+                .then(() => client.calls.filter((call) => call === 'headBucket').length.should.equal(1));
+        });
+
+        it('should reject when the bucket does not exist, and check it again', () => {
+            const headBucket = client.headBucket;
+            client.headBucket = () => Promise.reject(s3Error('NotFound', 404));
+
+            return store.ready().should.be.rejectedWith(/bucket "bucket" does not exist/)
+                .then(() => {
+                    client.headBucket = headBucket;
+                    return store.ready();
+                });
+        });
+
+        it('should not check the bucket when creating uploads', () => {
+            return createUpload(10)
+                .then(() => client.calls.should.not.containEql('headBucket'));
+        });
+    });
+
+    describe('write', () => {
+        it('should store an upload fitting in one part with putObject', () => {
+            const buffer = Buffer.alloc(1024, 'a');
+            let event;
+            store.on(EVENTS.EVENT_UPLOAD_COMPLETE, (e) => {
+                event = e;
+            });
+
+            return createUpload(buffer.length)
+                .then((file) => patch(file.id, buffer).then((offset) => {
+                    offset.should.equal(buffer.length);
+                    client.objects.get(file.id).body.equals(buffer).should.equal(true);
+                    client.uploads.size.should.equal(0);
+                    client.calls.should.not.containEql('uploadPart');
+                    event.file.id.should.equal(file.id);
+                    event.file.location.should.equal(`https://bucket.s3.test/${file.id}`);
+                }));
+        });
+
+        it('should keep chunks smaller than 5MB as the incomplete part', () => {
+            return createUpload(3 * MB)
+                .then((file) => patch(file.id, Buffer.alloc(MB, 'a')).then((offset) => {
+                    offset.should.equal(MB);
+                    client.objects.get(`${file.id}.part`).body.length.should.equal(MB);
+                    client.calls.should.not.containEql('uploadPart');
+
+                    return store.getOffset(file.id);
+                }))
+                .then((data) => {
+                    data.size.should.equal(MB);
+                });
+        });
+
+        it('should prepend the incomplete part to the next chunk', () => {
+            const first = Buffer.alloc(MB, 'a');
+            const second = Buffer.alloc(MB, 'b');
+
+            return createUpload(2 * MB)
+                .then((file) => patch(file.id, first)
+                    .then(() => patch(file.id, second))
+                    .then((offset) => {
+                        offset.should.equal(2 * MB);
+                        client.objects.get(file.id).body.equals(Buffer.concat([first, second])).should.equal(true);
+                        client.objects.has(`${file.id}.part`).should.equal(false);
+                    }));
+        });
+
+        it('should upload chunks of at least 5MB as parts of the multipart upload', () => {
+            const first = Buffer.alloc(5 * MB, 'a');
+            const second = Buffer.alloc(10, 'b');
+
+            return createUpload(first.length + second.length)
+                .then((file) => patch(file.id, first)
+                    .then((offset) => {
+                        offset.should.equal(first.length);
+                        client.calls.should.containEql('uploadPart');
+                        client.objects.has(`${file.id}.part`).should.equal(false);
+
+                        return patch(file.id, second);
+                    })
+                    .then((offset) => {
+                        offset.should.equal(first.length + second.length);
+                        client.calls.should.containEql('completeMultipartUpload');
+                        client.objects.get(file.id).body.equals(Buffer.concat([first, second])).should.equal(true);
+                    }));
+        });
+
+        it('should upload several parts of a single request', () => {
+            const buffer = Buffer.alloc(11 * MB, 'a');
+
+            return createUpload(buffer.length)
+                .then((file) => patch(file.id, buffer).then((offset) => {
+                    offset.should.equal(buffer.length);
+                    client.calls.filter((call) => call === 'uploadPart').length.should.equal(3);
+                    client.objects.get(file.id).body.equals(buffer).should.equal(true);
+                }));
+        });
+
+        it('should accept chunks of arbitrary sizes', () => {
+            const chunks = [3 * MB, 4 * MB, 4 * MB].map((size, index) => Buffer.alloc(size, `${index}`));
+            const buffer = Buffer.concat(chunks);
+
+            return createUpload(buffer.length)
+                .then((file) => patch(file.id, chunks[0])
+                    .then((offset) => {
+                        offset.should.equal(3 * MB);
+                        return patch(file.id, chunks[1]);
+                    })
+                    .then((offset) => {
+                        offset.should.equal(7 * MB);
+                        client.objects.get(`${file.id}.part`).body.length.should.equal(2 * MB);
+                        return store.getOffset(file.id);
+                    })
+                    .then((data) => {
+                        data.size.should.equal(7 * MB);
+                        return patch(file.id, chunks[2]);
+                    })
+                    .then((offset) => {
+                        offset.should.equal(buffer.length);
+                        client.objects.get(file.id).body.equals(buffer).should.equal(true);
+                        client.objects.has(`${file.id}.part`).should.equal(false);
+                    }));
+        });
+    });
+
+    describe('_objectLocation', () => {
+        it('should use the bucket as subdomain', () => {
+            return store._objectLocation('some/file')
+                .should.be.fulfilledWith('https://bucket.s3.test/some/file');
+        });
+
+        it('should use the bucket as path with s3ForcePathStyle', () => {
+            client.config.forcePathStyle = true;
+            return store._objectLocation('some file')
+                .should.be.fulfilledWith('https://s3.test/bucket/some%20file');
+        });
+
+        it('should use the regional endpoint of AWS by default', () => {
+            client.config = { region: () => Promise.resolve('eu-west-1') };
+            return store._objectLocation('some/file')
+                .should.be.fulfilledWith('https://bucket.s3.eu-west-1.amazonaws.com/some/file');
+        });
+    });
+
+    describe('write with maxConcurrentPartUploads', () => {
+        const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+        beforeEach(() => {
+            store = new S3Store({
+                path: '/files',
+                bucket: 'bucket',
+                accessKeyId: 'access-key-id',
+                secretAccessKey: 'secret-access-key',
+                partSize: 5 * MB,
+                maxConcurrentPartUploads: 2,
+            });
+            store.client = client;
+        });
+
+        it('should upload at most maxConcurrentPartUploads parts at a time', () => {
+            const buffer = Buffer.alloc(26 * MB, 'a');
+            const uploadPart = client.uploadPart.bind(client);
+            let running = 0;
+            let max_running = 0;
+            client.uploadPart = (params) => {
+                running++;
+                max_running = Math.max(max_running, running);
+                return delay(20)
+                    .then(() => uploadPart(params))
+                    .then((data) => {
+                        running--;
+                        return data;
+                    });
+            };
+
+            return createUpload(buffer.length)
+                .then((file) => patch(file.id, buffer).then((offset) => {
+                    offset.should.equal(buffer.length);
+                    max_running.should.equal(2);
+                    client.objects.get(file.id).body.equals(buffer).should.equal(true);
+                }));
+        });
+
+        it('should only count the parts before a failed part in the offset', () => {
+            const buffer = Buffer.concat([0, 1, 2, 3].map((index) => Buffer.alloc(5 * MB, `${index}`)));
+            const uploadPart = client.uploadPart.bind(client);
+            let failed = false;
+            client.uploadPart = (params) => {
+                if (params.PartNumber === 2 && !failed) {
+                    failed = true;
+                    return delay(20).then(() => Promise.reject(new Error('part upload failed')));
+                }
+
+                return uploadPart(params);
+            };
+            store.max_concurrent_part_uploads = 3;
+
+            return createUpload(buffer.length)
+                .then((file) => patch(file.id, buffer)
+                    .should.be.rejectedWith('part upload failed')
+                    .then(() => store.getOffset(file.id))
+                    .then((data) => {
+                        data.size.should.equal(5 * MB);
+                        return patch(file.id, buffer.slice(data.size));
+                    })
+                    .then((offset) => {
+                        offset.should.equal(buffer.length);
+                        client.objects.get(file.id).body.equals(buffer).should.equal(true);
+                    }));
+        });
+
+        it('should not count the parts after a failed part when resuming with a short request', () => {
+            const buffer = Buffer.concat([0, 1, 2, 3].map((index) => Buffer.alloc(6 * MB, `${index}`)));
+            const uploadPart = client.uploadPart.bind(client);
+            let failed = false;
+            client.uploadPart = (params) => {
+                if (params.PartNumber === 2 && !failed) {
+                    failed = true;
+                    return delay(20).then(() => Promise.reject(new Error('part upload failed')));
+                }
+
+                return uploadPart(params);
+            };
+            store.part_size = 6 * MB;
+            store.max_concurrent_part_uploads = 3;
+
+            const patchAndCheck = (file_id, start, end) => patch(file_id, buffer.slice(start, end))
+                .then((offset) => {
+                    offset.should.equal(end);
+                    return store.getOffset(file_id);
+                })
+                .then((data) => data.size.should.equal(end));
+
+            return createUpload(buffer.length)
+                .then((file) => patch(file.id, buffer)
+                    .should.be.rejectedWith('part upload failed')
+                    .then(() => store.getOffset(file.id))
+                    .then((data) => {
+                        data.size.should.equal(6 * MB);
+                        // Saved as the incomplete part, the stale third part stays after the gap
+                        return patchAndCheck(file.id, 6 * MB, 11.5 * MB);
+                    })
+                    // A full second part puts the stale third part back at its offset
+                    .then(() => patchAndCheck(file.id, 11.5 * MB, 18 * MB))
+                    .then(() => patchAndCheck(file.id, 18 * MB, buffer.length))
+                    .then(() => client.objects.get(file.id).body.equals(buffer).should.equal(true)));
+        });
+    });
+
+    describe('metadata', () => {
+        const encode = (value) => Buffer.from(value, 'utf8').toString('base64');
+
+        it('should decode the values as UTF-8', () => {
+            const parsed = store._parseMetadataString(`filename ${encode('報告書.pdf')},note ${encode('تقرير')}`);
+            parsed.filename.decoded.should.equal('報告書.pdf');
+            parsed.note.decoded.should.equal('تقرير');
+        });
+
+        it('should accept keys without values', () => {
+            const parsed = store._parseMetadataString(`is_confidential,empty ,filename ${encode('a.txt')}`);
+            parsed.is_confidential.decoded.should.equal('');
+            parsed.empty.decoded.should.equal('');
+            parsed.filename.decoded.should.equal('a.txt');
+        });
+
+        it('should keep ASCII file names as they are', () => {
+            const params = store._objectParams({ id: 'file', upload_length: '1', upload_metadata: `filename ${encode('report "v2".pdf')}` });
+            params.Metadata.original_name.should.equal('report "v2".pdf');
+            params.ContentDisposition.should.equal('attachment; filename="report _v2_.pdf"; filename*=UTF-8\'\'report%20%22v2%22.pdf');
+        });
+
+        it('should encode non-ASCII file names for S3', () => {
+            const params = store._objectParams({ id: 'file', upload_length: '1', upload_metadata: `filename ${encode('報告書 (1).pdf')}` });
+            params.Metadata.original_name.should.equal(`=?UTF-8?B?${encode('報告書 (1).pdf')}?=`);
+            params.ContentDisposition.should.equal('attachment; filename="___ (1).pdf"; filename*=UTF-8\'\'%E5%A0%B1%E5%91%8A%E6%9B%B8%20%281%29.pdf');
+        });
+
+        it('should ignore non-ASCII content types', () => {
+            const params = store._objectParams({ id: 'file', upload_length: '1', upload_metadata: `contentType ${encode('text/plain; charset=ü')}` });
+            params.should.not.have.property('ContentType');
+        });
+    });
+
+    describe('object options', () => {
+        const metadata = `filename ${Buffer.from('report.pdf').toString('base64')},project ${Buffer.from('apollo').toString('base64')}`;
+
+        const createStore = (options) => {
+            const s3_store = new S3Store(Object.assign({
+                path: '/files',
+                bucket: 'bucket',
+                partSize: 5 * MB,
+            }, options));
+            s3_store.client = client;
+            return s3_store;
+        };
+
+        it('should pass the static options to the multipart upload', () => {
+            const s3_store = createStore({
+                acl: 'private',
+                storageClass: 'STANDARD_IA',
+                serverSideEncryption: 'aws:kms',
+                sseKmsKeyId: 'key-id',
+            });
+            const createMultipartUpload = client.createMultipartUpload.bind(client);
+            let params;
+            client.createMultipartUpload = (input) => {
+                params = input;
+                return createMultipartUpload(input);
+            };
+
+            return s3_store.create({ headers: { 'upload-length': '10' } })
+                .then(() => {
+                    params.ACL.should.equal('private');
+                    params.StorageClass.should.equal('STANDARD_IA');
+                    params.ServerSideEncryption.should.equal('aws:kms');
+                    params.SSEKMSKeyId.should.equal('key-id');
+                    params.should.not.have.property('Tagging');
+                });
+        });
+
+        it('should encrypt the .info object and the incomplete part', () => {
+            const s3_store = createStore({ serverSideEncryption: 'AES256' });
+            const putObject = client.putObject.bind(client);
+            const encryption = {};
+            client.putObject = (input) => {
+                encryption[input.Key.split('.').pop()] = input.ServerSideEncryption;
+                return putObject(input);
+            };
+
+            return s3_store.create({ headers: { 'upload-length': `${6 * MB}` } })
+                .then((file) => {
+                    const req = new PassThrough();
+                    req.end(Buffer.alloc(10, 'a'));
+                    return s3_store.write(req, file.id);
+                })
+                .then(() => encryption.should.deepEqual({ info: 'AES256', part: 'AES256' }));
+        });
+
+        it('should derive the options from the upload', () => {
+            const s3_store = createStore({
+                storageClass: (file) => (file.upload_length > 10 * MB ? 'STANDARD_IA' : 'STANDARD'),
+                tagging: (file, upload_metadata) => ({ project: upload_metadata.project, kind: 'tus upload' }),
+            });
+            const putObject = client.putObject.bind(client);
+            let params;
+            client.putObject = (input) => {
+                if (!input.Key.endsWith('.info')) {
+                    params = input;
+                }
+                return putObject(input);
+            };
+
+            return s3_store.create({ headers: { 'upload-length': '10', 'upload-metadata': metadata } })
+                .then((file) => {
+                    const req = new PassThrough();
+                    req.end(Buffer.alloc(10, 'a'));
+                    return s3_store.write(req, file.id);
+                })
+                .then(() => {
+                    params.StorageClass.should.equal('STANDARD');
+                    params.Tagging.should.equal('project=apollo&kind=tus+upload');
+                });
+        });
+
+        it('should prefix the keys of the upload', () => {
+            const s3_store = createStore({
+                keyPrefix: (file, upload_metadata) => `${upload_metadata.project}/`,
+            });
+
+            return s3_store.create({ headers: { 'upload-length': '10', 'upload-metadata': metadata } })
+                .then((file) => {
+                    file.id.should.startWith('apollo/');
+                    client.uploads.get('upload-1').Key.should.equal(file.id);
+                    client.objects.has(`${file.id}.info`).should.equal(true);
+
+                    return s3_store.getOffset(file.id);
+                })
+                .then((data) => data.size.should.equal(0));
+        });
+    });
+
+    describe('deferred length', () => {
+        const createDeferredUpload = () => store.create({ headers: { 'upload-defer-length': '1' } });
+
+        it('should keep the deferral in the .info object', () => {
+            return createDeferredUpload()
+                .then((file) => {
+                    store._clearCache(file.id);
+                    client.uploads.get('upload-1').Key.should.equal(file.id);
+                    return store.getOffset(file.id);
+                })
+                .then((data) => {
+                    data.upload_defer_length.should.equal('1');
+                    data.should.not.have.property('upload_length');
+                });
+        });
+
+        it('should not pass undefined metadata to S3', () => {
+            const file = { id: 'deferred', upload_defer_length: '1' };
+            const params = store._objectParams(file);
+
+            params.Metadata.should.have.property('upload_defer_length', '1');
+            params.Metadata.should.not.have.property('upload_length');
+            params.Metadata.should.not.have.property('upload_metadata');
+        });
+
+        it('should complete the upload once the length is declared', () => {
+            const first = Buffer.alloc(MB, 'a');
+            const second = Buffer.alloc(MB, 'b');
+            let completed = false;
+            store.on(EVENTS.EVENT_UPLOAD_COMPLETE, () => {
+                completed = true;
+            });
+
+            return createDeferredUpload()
+                .then((file) => patch(file.id, first)
+                    .then((offset) => {
+                        offset.should.equal(MB);
+                        completed.should.equal(false);
+                        return store.declareUploadLength(file.id, `${2 * MB}`);
+                    })
+                    .then(() => {
+                        store._clearCache(file.id);
+                        return patch(file.id, second);
+                    })
+                    .then((offset) => {
+                        offset.should.equal(2 * MB);
+                        completed.should.equal(true);
+                        client.objects.get(file.id).body.equals(Buffer.concat([first, second])).should.equal(true);
+                    }));
+        });
+
+        it('should complete the upload when the length is declared without any more bytes', () => {
+            const buffer = Buffer.alloc(6 * MB, 'a');
+
+            return createDeferredUpload()
+                .then((file) => patch(file.id, buffer)
+                    .then((offset) => {
+                        offset.should.equal(buffer.length);
+                        client.calls.should.not.containEql('completeMultipartUpload');
+                        return store.declareUploadLength(file.id, `${buffer.length}`);
+                    })
+                    .then(() => patch(file.id, Buffer.alloc(0)))
+                    .then((offset) => {
+                        offset.should.equal(buffer.length);
+                        client.calls.should.containEql('completeMultipartUpload');
+                        client.objects.get(file.id).body.equals(buffer).should.equal(true);
+                        client.objects.has(`${file.id}.part`).should.equal(false);
+                    }));
+        });
+
+        it('should complete the upload when the declared length matches the uploaded parts', () => {
+            const buffer = Buffer.alloc(5 * MB, 'a');
+
+            return createDeferredUpload()
+                .then((file) => patch(file.id, buffer)
+                    .then(() => store.declareUploadLength(file.id, `${buffer.length}`))
+                    .then(() => patch(file.id, Buffer.alloc(0)))
+                    .then((offset) => {
+                        offset.should.equal(buffer.length);
+                        client.objects.get(file.id).body.equals(buffer).should.equal(true);
+                    }));
+        });
+    });
+
+    describe('cache', () => {
+        const createStore = (cache) => {
+            const s3_store = new S3Store({
+                path: '/files',
+                bucket: 'bucket',
+                partSize: 5 * MB,
+                cache,
+            });
+            s3_store.client = client;
+            return s3_store;
+        };
+
+        it('should resume uploads created by another server', () => {
+            const first = Buffer.alloc(MB, 'a');
+            const second = Buffer.alloc(MB, 'b');
+            const other_store = createStore();
+
+            return createUpload(2 * MB)
+                .then((file) => patch(file.id, first)
+                    .then(() => other_store.getOffset(file.id))
+                    .then((data) => {
+                        data.size.should.equal(MB);
+
+                        const req = new PassThrough();
+                        req.end(second);
+                        return createStore().write(req, file.id);
+                    })
+                    .then((offset) => {
+                        offset.should.equal(2 * MB);
+                        client.objects.get(file.id).body.equals(Buffer.concat([first, second])).should.equal(true);
+                    }));
+        });
+
+        it('should share the upload data through the cache', () => {
+            const cache = new KvStore();
+            const values = new Map();
+            cache.get = (key) => Promise.resolve(values.get(key));
+            cache.set = (key, value) => Promise.resolve(values.set(key, JSON.parse(JSON.stringify(value))));
+            cache.delete = (key) => Promise.resolve(values.delete(key));
+
+            const first_store = createStore(cache);
+            const second_store = createStore(cache);
+
+            return first_store.create({ headers: { 'upload-defer-length': '1' } })
+                .then((file) => first_store.declareUploadLength(file.id, '10')
+                    .then(() => {
+                        const headObject = client.headObject.bind(client);
+                        client.headObject = (params) => {
+                            params.Key.should.not.equal(`${file.id}.info`);
+                            return headObject(params);
+                        };
+
+                        return second_store.getOffset(file.id);
+                    })
+                    .then((data) => {
+                        data.upload_length.should.equal('10');
+                        values.get(file.id).upload_id.should.equal('upload-1');
+                    }));
+        });
+    });
+
+    describe('deleteOrphans', () => {
+        const DAY = 24 * 60 * 60 * 1000;
+        const daysAgo = (days) => new Date(Date.now() - days * DAY);
+
+        const age = (file_id, days) => {
+            client.uploads.forEach((upload) => {
+                if (upload.Key === file_id) {
+                    upload.Initiated = daysAgo(days);
+                }
+            });
+            client.objects.forEach((object, key) => {
+                if (key.startsWith(file_id)) {
+                    object.LastModified = daysAgo(days);
+                }
+            });
+        };
+
+        it('must require a positive orphanAgeInMilliseconds', () => {
+            should.throws(() => new S3Store({
+                path: '/files',
+                bucket: 'bucket',
+                orphanAgeInMilliseconds: -1,
+            }), /orphanAgeInMilliseconds/);
+        });
+
+        it('should abort the multipart uploads older than a week', () => {
+            return Promise.all([createUpload(6 * MB), createUpload(6 * MB)])
+                .then(([old_file, recent_file]) => patch(old_file.id, Buffer.alloc(10, 'a'))
+                    .then(() => {
+                        age(old_file.id, 8);
+                        age(recent_file.id, 6);
+                        return store.deleteOrphans();
+                    })
+                    .then((removed) => {
+                        removed.should.equal(1);
+                        client.uploads.size.should.equal(1);
+                        client.objects.has(`${old_file.id}.info`).should.equal(false);
+                        client.objects.has(`${old_file.id}.part`).should.equal(false);
+                        client.objects.has(`${recent_file.id}.info`).should.equal(true);
+                    }));
+        });
+
+        it('should leave alone the multipart uploads not created by tus', () => {
+            return Promise.all([
+                client.createMultipartUpload({ Key: 'not-tus' }),
+                client.createMultipartUpload({ Key: 'report' })
+                    .then(() => client.putObject({ Key: 'report.info', Body: 'quarterly report', Metadata: { author: 'finance' } })),
+            ])
+                .then(() => {
+                    age('not-tus', 8);
+                    age('report', 8);
+                    return store.deleteOrphans();
+                })
+                .then((removed) => {
+                    removed.should.equal(0);
+                    client.uploads.size.should.equal(2);
+                    client.objects.has('report.info').should.equal(true);
+                });
+        });
+
+        it('should remove the .info files left without upload', () => {
+            return Promise.all([createUpload(10), createUpload(10)])
+                .then(([orphaned_file, completed_file]) => patch(completed_file.id, Buffer.alloc(10, 'a'))
+                    .then(() => store._getMetadata(orphaned_file.id))
+                    .then((metadata) => client.abortMultipartUpload({ UploadId: metadata.upload_id }))
+                    .then(() => {
+                        age(orphaned_file.id, 8);
+                        age(completed_file.id, 8);
+                        return store.deleteOrphans();
+                    })
+                    .then((removed) => {
+                        removed.should.equal(1);
+                        client.objects.has(`${orphaned_file.id}.info`).should.equal(false);
+                        client.objects.has(`${completed_file.id}.info`).should.equal(true);
+                        client.objects.has(completed_file.id).should.equal(true);
+                    }));
+        });
+
+        it('should leave alone the .info files not written by tus', () => {
+            return client.putObject({ Key: 'report.info', Body: 'quarterly report', Metadata: { author: 'finance' } })
+                .then(() => client.putObject({ Key: 'report.part', Body: 'appendix' }))
+                .then(() => {
+                    age('report', 8);
+                    return store.deleteOrphans();
+                })
+                .then((removed) => {
+                    removed.should.equal(0);
+                    client.objects.has('report.info').should.equal(true);
+                    client.objects.has('report.part').should.equal(true);
+                });
+        });
+
+        it('should remove the .info files of completed uploads with deleteInfoOnCompletion', () => {
+            return createUpload(10)
+                .then((file) => patch(file.id, Buffer.alloc(10, 'a'))
+                    .then(() => {
+                        age(file.id, 8);
+                        store.delete_info_on_completion = true;
+                        return store.deleteOrphans();
+                    })
+                    .then((removed) => {
+                        removed.should.equal(1);
+                        client.objects.has(`${file.id}.info`).should.equal(false);
+                        client.objects.has(file.id).should.equal(true);
+                    }));
+        });
+
+        it('should only consider the keys under a static keyPrefix', () => {
+            store.key_prefix = 'tus/';
+
+            const other_store = new S3Store({ path: '/files', bucket: 'bucket', partSize: 5 * MB, keyPrefix: 'other/' });
+            other_store.client = client;
+
+            return Promise.all([other_store.create({ headers: { 'upload-length': `${6 * MB}` } }), createUpload(6 * MB)])
+                .then(([other_file, file]) => {
+                    age(other_file.id, 8);
+                    age(file.id, 8);
+                    return store.deleteOrphans()
+                        .then((removed) => {
+                            removed.should.equal(1);
+                            Array.from(client.uploads.values()).map((upload) => upload.Key).should.deepEqual([other_file.id]);
+                        });
+                });
+        });
+    });
+
+    describe('deleteInfoOnCompletion', () => {
+        beforeEach(() => {
+            store = new S3Store({
+                path: '/files',
+                bucket: 'bucket',
+                partSize: 5 * MB,
+                deleteInfoOnCompletion: true,
+            });
+            store.client = client;
+        });
+
+        it('should remove the .info file once the upload is completed', () => {
+            const metadata = `filename ${Buffer.from('a.txt').toString('base64')}`;
+
+            return store.create({ headers: { 'upload-length': `${6 * MB}`, 'upload-metadata': metadata } })
+                .then((file) => patch(file.id, Buffer.alloc(6 * MB, 'a'))
+                    .then(() => {
+                        client.objects.has(`${file.id}.info`).should.equal(false);
+                        return store.getOffset(file.id);
+                    })
+                    .then((data) => {
+                        data.size.should.equal(6 * MB);
+                        data.upload_length.should.equal(`${6 * MB}`);
+                        data.upload_metadata.should.equal(metadata);
+                    }));
+        });
+
+        it('should concatenate the completed partial uploads', () => {
+            const server = new Server();
+            server.datastore = store;
+            const listener = server.listen();
+
+            const createPartial = (buffer) => store
+                .create({ headers: { 'upload-length': `${buffer.length}`, 'upload-concat': 'partial' } })
+                .then((file) => patch(file.id, buffer).then(() => file.id));
+
+            return Promise.all([createPartial(Buffer.alloc(5 * MB, 'a')), createPartial(Buffer.alloc(MB, 'b'))])
+                .then((partial_ids) => {
+                    partial_ids.forEach((partial_id) => client.objects.has(`${partial_id}.info`).should.equal(false));
+
+                    return request(listener)
+                        .post('/files')
+                        .set('Tus-Resumable', TUS_RESUMABLE)
+                        .set('Upload-Concat', `final;${partial_ids.map((partial_id) => `/files/${partial_id}`).join(' ')}`)
+                        .expect(201);
+                })
+                .then((res) => {
+                    const file_id = res.headers.location.split('/').pop();
+                    client.objects.get(file_id).body.length.should.equal(6 * MB);
+
+                    return request(listener)
+                        .head(`/files/${file_id}`)
+                        .set('Tus-Resumable', TUS_RESUMABLE)
+                        .expect(200)
+                        .expect('Upload-Offset', `${6 * MB}`)
+                        .expect('Upload-Concat', /^final;/);
+                })
+                .then(() => listener.close(), (err) => {
+                    listener.close();
+                    throw err;
+                });
+        });
+
+        it('should remove the final upload of partial uploads under 5MB', () => {
+            const server = new Server();
+            server.datastore = store;
+            const listener = server.listen();
+
+            const createPartial = (buffer) => store
+                .create({ headers: { 'upload-length': `${buffer.length}`, 'upload-concat': 'partial' } })
+                .then((file) => patch(file.id, buffer).then(() => file.id));
+
+            return Promise.all([createPartial(Buffer.alloc(MB, 'a')), createPartial(Buffer.alloc(MB, 'b'))])
+                .then((partial_ids) => request(listener)
+                    .post('/files')
+                    .set('Tus-Resumable', TUS_RESUMABLE)
+                    .set('Upload-Concat', `final;${partial_ids.map((partial_id) => `/files/${partial_id}`).join(' ')}`)
+                    .expect(ERRORS.PARTIAL_UPLOAD_TOO_SMALL.status_code, ERRORS.PARTIAL_UPLOAD_TOO_SMALL.body))
+                .then(() => {
+                    client.calls.should.not.containEql('uploadPartCopy');
+                    client.uploads.size.should.equal(0);
+                    Array.from(client.objects.keys()).filter((key) => key.endsWith('.info')).should.be.empty();
+                })
+                .then(() => listener.close(), (err) => {
+                    listener.close();
+                    throw err;
+                });
+        });
+
+        it('should remove the final upload when the partial uploads cannot be copied', () => {
+            let final_id;
+            return Promise.all([createUpload(5 * MB), createUpload(MB)])
+                .then(([first, second]) => store.create({ headers: { 'upload-length': `${6 * MB}`, 'upload-concat': 'final;' } })
+                    .then((file) => {
+                        final_id = file.id;
+                        // Neither upload was written, there is nothing to copy
+                        return store.concatenate(file.id, [first.id, second.id]);
+                    }))
+                .should.be.rejected()
+                .then(() => {
+                    client.calls.should.containEql('abortMultipartUpload');
+                    client.objects.has(`${final_id}.info`).should.equal(false);
+                    Array.from(client.uploads.values()).map((upload) => upload.Key).should.not.containEql(final_id);
+                });
+        });
+
+        it('should remove the completed uploads', () => {
+            return createUpload(11)
+                .then((file) => patch(file.id, Buffer.alloc(11, 'a'))
+                    .then(() => store.getOffset(file.id))
+                    .then((data) => {
+                        data.size.should.equal(11);
+                        return store.remove(file.id).should.be.fulfilled();
+                    })
+                    .then(() => {
+                        client.objects.size.should.equal(0);
+                        return store.getOffset(file.id).should.be.rejectedWith(ERRORS.FILE_NOT_FOUND);
+                    }));
+        });
+
+        it('should not remove objects which were not uploaded with tus', () => {
+            return client.putObject({ Key: 'not-tus', Body: 'a' })
+                .then(() => store.remove('not-tus'))
+                .should.be.rejectedWith(ERRORS.FILE_NOT_FOUND)
+                .then(() => client.objects.has('not-tus').should.equal(true));
+        });
+
+        it('should not find objects which were not uploaded with tus', () => {
+            return client.putObject({ Key: 'not-tus', Body: 'a' })
+                .then(() => store.getOffset('not-tus'))
+                .should.be.rejectedWith(ERRORS.FILE_NOT_FOUND);
+        });
+    });
+
+    describe('read', () => {
+        it('should stream the object', () => {
+            return createUpload(10)
+                .then((file) => patch(file.id, Buffer.from('0123456789'))
+                    .then(() => readBody(store.read(file.id))))
+                .then((body) => body.toString().should.equal('0123456789'));
+        });
+
+        it('should emit the errors of the request', () => {
+            return readBody(store.read('doesnt_exist')).should.be.rejectedWith('NoSuchKey');
+        });
+    });
+
+    describe('remove', () => {
+        it('should remove the incomplete part', () => {
+            return createUpload(2 * MB)
+                .then((file) => patch(file.id, Buffer.alloc(10, 'a'))
+                    .then(() => store.remove(file.id))
+                    .then(() => {
+                        client.objects.size.should.equal(0);
+                        client.uploads.size.should.equal(0);
+                    }));
+        });
+
+        it('should reject uploads that do not exist', () => {
+            return store.remove('doesnt_exist').should.be.rejectedWith(ERRORS.FILE_NOT_FOUND);
+        });
+    });
+});
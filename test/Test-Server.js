@@ -35,6 +35,23 @@ describe('Server', () => {
             server.handlers.should.have.property('OPTIONS');
             server.handlers.should.have.property('POST');
             server.handlers.should.have.property('PATCH');
+            server.handlers.should.have.property('DELETE');
+            done();
+        });
+
+        it('locker option must be a Locker', (done) => {
+            assert.throws(() => {
+                new Server({ locker: {} });
+            }, Error);
+            done();
+        });
+
+        it('maxSize option should be set on the DataStore', (done) => {
+            const server = new Server({ maxSize: 1024 });
+            server.datastore = new DataStore({
+                path: '/files',
+            });
+            assert.equal(server.datastore.maxSize, 1024);
             done();
         });
     });
@@ -53,6 +70,70 @@ describe('Server', () => {
             new_server.close();
             done();
         });
+
+        it('should handle requests once the datastore is ready', () => {
+            let ready = false;
+            server.datastore.ready = () => new Promise((resolve) => setTimeout(resolve, 10))
+                .then(() => {
+                    ready = true;
+                });
+
+            const new_server = server.listen();
+            return request(new_server)
+                .options('/files')
+                .expect(204)
+                .then(() => {
+                    ready.should.equal(true);
+                    new_server.close();
+                });
+        });
+
+        it('should emit the error of a datastore which cannot be ready', (done) => {
+            const store = new DataStore({ path: '/files' });
+            store.ready = () => Promise.reject(new Error('bucket does not exist'));
+            server.datastore = store;
+
+            const new_server = server.listen();
+            new_server.on('error', (error) => {
+                error.message.should.equal('bucket does not exist');
+                new_server.close();
+                done();
+            });
+        });
+
+        it('should reject the ready promise without an error listener', () => {
+            const store = new DataStore({ path: '/files' });
+            store.ready = () => Promise.reject(new Error('bucket does not exist'));
+            server.datastore = store;
+
+            const new_server = server.listen(0);
+            return new_server.ready.should.be.rejectedWith('bucket does not exist')
+                .then(() => new_server.close());
+        });
+
+        it('should check the datastore again on the next request', () => {
+            const store = new DataStore({ path: '/files' });
+            let checks = 0;
+            store.ready = () => (++checks <= 2 ? Promise.reject(new Error('bucket does not exist')) : Promise.resolve());
+            server.datastore = store;
+
+            const new_server = server.listen();
+            return new_server.ready.should.be.rejected()
+                .then(() => request(new_server).options('/files').expect(500))
+                .then(() => request(new_server).options('/files').expect(204))
+                .then(() => new_server.close());
+        });
+    });
+
+    describe('cleanUpExpiredUploads', () => {
+        it('should delete expired uploads from the datastore', () => {
+            const server = new Server();
+            server.datastore = new DataStore({
+                path: '/files',
+            });
+            server.datastore.deleteExpired = () => Promise.resolve(3);
+            return server.cleanUpExpiredUploads().should.be.fulfilledWith(3);
+        });
     });
 
     describe('get', () => {
@@ -251,4 +332,98 @@ describe('Server', () => {
               .end((err) => { if(err) done(err) });
         });
     });
+
+    describe('lifecycle hooks', () => {
+        let listener;
+
+        afterEach(() => {
+            listener.close();
+        });
+
+        const listen = (options) => {
+            const server = new Server(options);
+            server.datastore = new DataStore({
+                path: '/files',
+            });
+            listener = server.listen();
+            return server;
+        };
+
+        it('hooks must be functions', (done) => {
+            assert.throws(() => {
+                new Server({ onUploadCreate: 'allow' });
+            }, Error);
+            listen();
+            done();
+        });
+
+        it('onIncomingRequest should receive the upload id', (done) => {
+            listen({
+                onIncomingRequest: (req, res, id) => {
+                    assert.equal(id, '1234');
+                    return Promise.resolve();
+                },
+            });
+
+            request(listener)
+              .head('/files/1234')
+              .set('Tus-Resumable', TUS_RESUMABLE)
+              .expect(200, done);
+        });
+
+        it('onIncomingRequest should reject requests with its error', (done) => {
+            listen({
+                onIncomingRequest: () => Promise.reject({ status_code: 401, body: 'Unauthorized\n' }),
+            });
+
+            request(listener)
+              .post('/files')
+              .set('Tus-Resumable', TUS_RESUMABLE)
+              .set('Upload-Length', 12345678)
+              .expect(401, 'Unauthorized\n', done);
+        });
+
+        it('onIncomingRequest should not be called for OPTIONS requests', (done) => {
+            listen({
+                onIncomingRequest: () => Promise.reject({ status_code: 401, body: 'Unauthorized\n' }),
+            });
+
+            request(listener)
+              .options('/files')
+              .expect(204, done);
+        });
+
+        it('onUploadCreate should reject the creation with its error', (done) => {
+            const server = listen({
+                onUploadCreate: () => Promise.reject({ status_code: 403, body: 'Not allowed\n' }),
+            });
+            server.on(EVENTS.EVENT_FILE_CREATED, () => done(new Error('the file was created')));
+
+            request(listener)
+              .post('/files')
+              .set('Tus-Resumable', TUS_RESUMABLE)
+              .set('Upload-Length', 12345678)
+              .expect(403, 'Not allowed\n', done);
+        });
+
+        it('onUploadFinish should be able to set response headers', (done) => {
+            const server = listen({
+                onUploadFinish: (req, res, upload) => {
+                    assert.equal(upload.id, 'file');
+                    assert.equal(upload.offset, 1);
+                    res.setHeader('X-Upload-Finished', 'yes');
+                },
+            });
+            server.datastore.write = () => Promise.resolve(1);
+
+            request(listener)
+              .patch('/files/file')
+              .set('Tus-Resumable', TUS_RESUMABLE)
+              .set('Upload-Offset', 0)
+              .set('Content-Type', 'application/offset+octet-stream')
+              .send('a')
+              .expect('X-Upload-Finished', 'yes')
+              .expect(204, done);
+        });
+    });
 });
@@ -0,0 +1,56 @@
+/* eslint-env node, mocha */
+
+'use strict';
+
+const assert = require('assert');
+const PassThrough = require('stream').PassThrough;
+const StreamLimiter = require('../lib/models/StreamLimiter');
+
+const collect = (limiter, chunks) => {
+    return new Promise((resolve, reject) => {
+        const source = new PassThrough();
+        const received = [];
+        limiter.on('data', (chunk) => received.push(chunk));
+        limiter.on('end', () => resolve(Buffer.concat(received).toString()));
+        limiter.on('error', reject);
+        source.pipe(limiter);
+        chunks.forEach((chunk) => source.write(chunk));
+        source.end();
+    });
+};
+
+describe('StreamLimiter', () => {
+    describe('constructor', () => {
+        it('must require a non negative limit', () => {
+            assert.throws(() => { new StreamLimiter(-1); }, Error);
+            assert.throws(() => { new StreamLimiter(); }, Error);
+        });
+    });
+
+    it('should pass streams within the limit through', () => {
+        const limiter = new StreamLimiter(10);
+        return collect(limiter, ['12345', '67890'])
+            .then((data) => {
+                assert.equal(data, '1234567890');
+                assert.equal(limiter.exceeded, false);
+            });
+    });
+
+    it('should end the stream once the limit is exceeded', () => {
+        const limiter = new StreamLimiter(7);
+        return collect(limiter, ['12345', '67890', 'abcde'])
+            .then((data) => {
+                assert.equal(data, '1234567');
+                assert.equal(limiter.exceeded, true);
+            });
+    });
+
+    it('should pass nothing through with a limit of 0', () => {
+        const limiter = new StreamLimiter(0);
+        return collect(limiter, ['12345'])
+            .then((data) => {
+                assert.equal(data, '');
+                assert.equal(limiter.exceeded, true);
+            });
+    });
+});
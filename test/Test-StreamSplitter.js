@@ -0,0 +1,112 @@
+/* eslint-env node, mocha */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const PassThrough = require('stream').PassThrough;
+const StreamSplitter = require('../lib/models/StreamSplitter');
+
+const noop = () => {};
+
+const split = (chunk_size, chunks) => {
+    return new Promise((resolve, reject) => {
+        const source = new PassThrough();
+        const files = [];
+        const splitter = new StreamSplitter({
+            chunkSize: chunk_size,
+            directory: os.tmpdir(),
+            prefix: 'tus-splitter-test-',
+            onChunkFinished: (chunk) => {
+                files.push(Object.assign({ content: fs.readFileSync(chunk.path).toString() }, chunk));
+                fs.unlinkSync(chunk.path);
+            },
+        });
+        splitter.on('finish', () => resolve(files));
+        splitter.on('error', reject);
+        source.pipe(splitter);
+        chunks.forEach((chunk) => source.write(chunk));
+        source.end();
+    });
+};
+
+describe('StreamSplitter', () => {
+    describe('constructor', () => {
+        it('must require a positive chunkSize', () => {
+            assert.throws(() => { new StreamSplitter({ chunkSize: 0, directory: os.tmpdir(), onChunkFinished: noop }); }, Error);
+            assert.throws(() => { new StreamSplitter({ directory: os.tmpdir(), onChunkFinished: noop }); }, Error);
+        });
+
+        it('must require an onChunkFinished function', () => {
+            assert.throws(() => { new StreamSplitter({ chunkSize: 4, directory: os.tmpdir() }); }, Error);
+        });
+    });
+
+    it('should split the stream into files of at most chunkSize bytes', () => {
+        return split(4, ['abc', 'defghij', 'k']).then((files) => {
+            assert.deepStrictEqual(files.map((file) => file.content), ['abcd', 'efgh', 'ijk']);
+            assert.deepStrictEqual(files.map((file) => file.size), [4, 4, 3]);
+        });
+    });
+
+    it('should not emit an empty last file', () => {
+        return split(4, ['abcdefgh']).then((files) => {
+            assert.deepStrictEqual(files.map((file) => file.content), ['abcd', 'efgh']);
+        });
+    });
+
+    it('should emit nothing for an empty stream', () => {
+        return split(4, []).then((files) => {
+            assert.strictEqual(files.length, 0);
+        });
+    });
+
+    it('should wait for onChunkFinished before writing the next file', () => {
+        const events = [];
+        const source = new PassThrough();
+        const splitter = new StreamSplitter({
+            chunkSize: 2,
+            directory: os.tmpdir(),
+            onChunkFinished: (chunk) => {
+                events.push(`start ${chunk.size}`);
+                fs.unlinkSync(chunk.path);
+                return new Promise((resolve) => setTimeout(resolve, 10))
+                    .then(() => events.push(`end ${chunk.size}`));
+            },
+        });
+
+        return new Promise((resolve, reject) => {
+            splitter.on('finish', resolve);
+            splitter.on('error', reject);
+            source.pipe(splitter);
+            source.end('abc');
+        }).then(() => {
+            assert.deepStrictEqual(events, ['start 2', 'end 2', 'start 1', 'end 1']);
+        });
+    });
+
+    it('should fail when onChunkFinished rejects', () => {
+        const splitter = new StreamSplitter({
+            chunkSize: 2,
+            directory: os.tmpdir(),
+            onChunkFinished: (chunk) => {
+                fs.unlinkSync(chunk.path);
+                return Promise.reject(new Error('upload failed'));
+            },
+        });
+
+        return new Promise((resolve) => {
+            splitter.on('error', resolve);
+            splitter.end('ab');
+        }).then((error) => {
+            assert.strictEqual(error.message, 'upload failed');
+        });
+    });
+
+    it('should prefix the file names', () => {
+        return split(4, ['abc']).then((files) => {
+            assert.ok(files[0].path.startsWith(`${os.tmpdir()}/tus-splitter-test-`));
+        });
+    });
+});